@@ -0,0 +1,261 @@
+/**
+ * Activity dock for pulsar-mcp
+ * Lists every tool call live, newest first. Clicking an entry jumps to the
+ * file and range it affected.
+ */
+
+const { CompositeDisposable } = require("atom");
+const activity = require("./activity");
+
+const ACTIVITY_URI = "atom://pulsar-mcp/activity";
+
+/**
+ * Create an element with classes and optional text
+ */
+function createElement(tag, classNames = [], text) {
+  const element = document.createElement(tag);
+  element.classList.add(...classNames);
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Format a timestamp as HH:MM:SS.mmm
+ */
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Pretty-print a value for the details section, long values are already
+ * truncated by the activity log
+ */
+function formatValue(value) {
+  return typeof value === "string"
+    ? value
+    : (JSON.stringify(value, null, 2) ?? "");
+}
+
+/**
+ * Open the file and range affected by a tool call
+ */
+async function openLocation(location) {
+  if (!location) return;
+  const options = { searchAllPanes: true };
+  if (location.range) {
+    options.initialLine = location.range.start.row;
+    options.initialColumn = location.range.start.column;
+  }
+  const editor = await atom.workspace.open(location.path, options);
+  if (location.range && editor?.setSelectedBufferRange) {
+    const { start, end } = location.range;
+    editor.setSelectedBufferRange([
+      [start.row, start.column],
+      [end.row, end.column],
+    ]);
+  }
+}
+
+/**
+ * Export entries as JSON into a new editor
+ * @param {Object[]} [entries] - Entries to export, defaults to all
+ */
+async function exportActivity(entries) {
+  const editor = await atom.workspace.open();
+  editor.setText(activity.exportEntries(entries));
+  atom.grammars.assignLanguageMode(editor.getBuffer(), "source.json");
+}
+
+class ActivityView {
+  constructor() {
+    this.disposables = new CompositeDisposable();
+    this.rows = new Map();
+    this.filterText = "";
+
+    this.element = createElement("div", ["pulsar-mcp-activity"]);
+    this.element.tabIndex = -1;
+
+    // Toolbar with filter, export and clear
+    const toolbar = createElement("div", ["pulsar-mcp-activity-toolbar"]);
+    this.filterInput = createElement("input", [
+      "input-text",
+      "native-key-bindings",
+    ]);
+    this.filterInput.type = "search";
+    this.filterInput.placeholder =
+      "Filter by tool, client, status, path or arguments";
+    this.filterInput.addEventListener("input", () => {
+      this.filterText = this.filterInput.value.trim().toLowerCase();
+      this.applyFilter();
+    });
+
+    const exportButton = createElement("button", ["btn", "btn-sm"], "Export");
+    exportButton.addEventListener("click", () =>
+      exportActivity(this.getVisibleEntries())
+    );
+    const clearButton = createElement("button", ["btn", "btn-sm"], "Clear");
+    clearButton.addEventListener("click", () => activity.clear());
+
+    toolbar.append(this.filterInput, exportButton, clearButton);
+
+    this.list = createElement("div", ["pulsar-mcp-activity-list"]);
+    this.element.append(toolbar, this.list);
+
+    for (const entry of activity.getEntries()) {
+      this.addEntry(entry);
+    }
+
+    this.disposables.add(
+      activity.onDidAddEntry((entry) => this.addEntry(entry)),
+      activity.onDidUpdateEntry((entry) => this.updateEntry(entry)),
+      activity.onDidClear(() => {
+        this.rows.clear();
+        this.list.replaceChildren();
+      })
+    );
+  }
+
+  getTitle() {
+    return "MCP Activity";
+  }
+
+  getIconName() {
+    return "pulse";
+  }
+
+  getURI() {
+    return ACTIVITY_URI;
+  }
+
+  getDefaultLocation() {
+    return "bottom";
+  }
+
+  getAllowedLocations() {
+    return ["bottom", "left", "right"];
+  }
+
+  addEntry(entry) {
+    const row = this.renderEntry(entry);
+    this.rows.set(entry.id, row);
+    this.list.prepend(row);
+    this.applyFilterToRow(entry, row);
+
+    // Drop rows of entries trimmed from the log
+    while (this.rows.size > activity.getEntries().length) {
+      const [oldestId, oldestRow] = this.rows.entries().next().value;
+      oldestRow.remove();
+      this.rows.delete(oldestId);
+    }
+  }
+
+  updateEntry(entry) {
+    const oldRow = this.rows.get(entry.id);
+    if (!oldRow) return;
+    const row = this.renderEntry(entry);
+    oldRow.replaceWith(row);
+    this.rows.set(entry.id, row);
+    this.applyFilterToRow(entry, row);
+  }
+
+  renderEntry(entry) {
+    const row = createElement("div", [
+      "pulsar-mcp-activity-entry",
+      `status-${entry.status}`,
+    ]);
+
+    const header = createElement("div", ["pulsar-mcp-activity-header"]);
+    header.append(
+      createElement("span", ["time"], formatTime(entry.timestamp)),
+      createElement(
+        "span",
+        ["client"],
+        entry.client || (entry.sessionId ? "MCP client" : "REST")
+      ),
+      createElement("span", ["tool"], entry.tool),
+      createElement("span", ["status"], entry.status),
+      createElement(
+        "span",
+        ["duration"],
+        entry.duration === null ? "" : `${entry.duration.toFixed(1)} ms`
+      )
+    );
+
+    if (entry.location) {
+      const { path, range } = entry.location;
+      const position = range
+        ? `:${range.start.row + 1}:${range.start.column + 1}`
+        : "";
+      const link = createElement(
+        "span",
+        ["location"],
+        `${atom.project.relativize(path)}${position}`
+      );
+      header.append(link);
+      header.classList.add("has-location");
+      header.addEventListener("click", () => openLocation(entry.location));
+    }
+
+    const details = createElement("details", ["pulsar-mcp-activity-details"]);
+    details.append(
+      createElement("summary", [], "Details"),
+      createElement("div", ["label"], "Arguments"),
+      createElement("pre", [], formatValue(entry.args))
+    );
+    if (entry.status === "error") {
+      details.append(
+        createElement("div", ["label"], "Error"),
+        createElement("pre", ["text-error"], formatValue(entry.error))
+      );
+    } else if (entry.status === "success") {
+      details.append(
+        createElement("div", ["label"], "Result"),
+        createElement("pre", [], formatValue(entry.result))
+      );
+    }
+
+    row.append(header, details);
+    return row;
+  }
+
+  matchesFilter(entry) {
+    if (!this.filterText) return true;
+    const haystack = [
+      entry.tool,
+      entry.client,
+      entry.status,
+      entry.location?.path,
+      JSON.stringify(entry.args),
+    ]
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase();
+    return haystack.includes(this.filterText);
+  }
+
+  applyFilterToRow(entry, row) {
+    row.style.display = this.matchesFilter(entry) ? "" : "none";
+  }
+
+  applyFilter() {
+    for (const entry of activity.getEntries()) {
+      const row = this.rows.get(entry.id);
+      if (row) this.applyFilterToRow(entry, row);
+    }
+  }
+
+  getVisibleEntries() {
+    return activity.getEntries().filter((entry) => this.matchesFilter(entry));
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    this.element.remove();
+  }
+}
+
+module.exports = { ActivityView, ACTIVITY_URI, exportActivity };
@@ -0,0 +1,165 @@
+/**
+ * Tool call activity log for pulsar-mcp
+ * Keeps the most recent tool calls in memory for the activity dock.
+ */
+
+const { Emitter } = require("atom");
+
+const MAX_ENTRIES = 1000;
+
+// Longer arguments and results are kept as truncated text, as shown in the
+// activity view, so old entries do not hold whole files in memory
+const MAX_VALUE_LENGTH = 2000;
+
+const emitter = new Emitter();
+let entries = [];
+let nextId = 1;
+
+// Full arguments of running calls, to find their location once they finish
+const runningArgs = new WeakMap();
+
+/**
+ * Keep a value for an entry, as pretty-printed text truncated to
+ * MAX_VALUE_LENGTH if it is longer
+ */
+function truncateValue(value) {
+  const text =
+    typeof value === "string" ? value : (JSON.stringify(value, null, 2) ?? "");
+  if (text.length <= MAX_VALUE_LENGTH) return value;
+  return `${text.slice(0, MAX_VALUE_LENGTH)}\n… (${
+    text.length - MAX_VALUE_LENGTH
+  } more characters)`;
+}
+
+/**
+ * Convert a {row, column} argument into a point, null if malformed
+ */
+function toPoint(position) {
+  if (!position || typeof position !== "object") return null;
+  if (!Number.isInteger(position.row)) return null;
+  return { row: position.row, column: position.column || 0 };
+}
+
+/**
+ * Find the file and range affected by a tool call, from its arguments or
+ * from the path reported in its result
+ * @returns {{path: string, range: Object|null}|null}
+ */
+function getLocation(args, data) {
+  const path =
+    (typeof args?.path === "string" && args.path) ||
+    (typeof data?.path === "string" && data.path) ||
+    null;
+  if (!path) return null;
+
+  const start =
+    toPoint(args.start) ||
+    toPoint({ row: args.row, column: args.column }) ||
+    null;
+  const end = toPoint(args.end) || start;
+
+  return { path, range: start ? { start, end } : null };
+}
+
+/**
+ * Record the start of a tool call
+ * @param {Object} call
+ * @param {string} call.tool - Tool name
+ * @param {Object} call.args - Tool arguments
+ * @param {string} [call.sessionId] - MCP session of the caller
+ * @param {string} [call.client] - Client name of the caller
+ * @returns {Object} The new entry, pass it to finishCall
+ */
+function startCall({ tool, args, sessionId, client }) {
+  const entry = {
+    id: nextId++,
+    timestamp: Date.now(),
+    sessionId: sessionId || null,
+    client: client || null,
+    tool,
+    args: truncateValue(args),
+    status: "running",
+    result: undefined,
+    error: null,
+    duration: null,
+    location: getLocation(args, null),
+  };
+
+  runningArgs.set(entry, args);
+  entries.push(entry);
+  if (entries.length > MAX_ENTRIES) {
+    entries = entries.slice(-MAX_ENTRIES);
+  }
+  emitter.emit("did-add-entry", entry);
+  return entry;
+}
+
+/**
+ * Record the outcome of a tool call
+ * @param {Object} entry - Entry returned by startCall
+ * @param {Object} result - {success, data, error} from executeTool
+ * @param {number} duration - Duration in milliseconds
+ */
+function finishCall(entry, result, duration) {
+  entry.status = result.success ? "success" : "error";
+  entry.result = result.success ? truncateValue(result.data) : undefined;
+  entry.error = result.success ? null : result.error;
+  entry.duration = duration;
+  entry.location = getLocation(runningArgs.get(entry), result.data);
+  runningArgs.delete(entry);
+  emitter.emit("did-update-entry", entry);
+}
+
+/**
+ * Get all recorded entries, oldest first
+ */
+function getEntries() {
+  return entries;
+}
+
+/**
+ * Remove all entries
+ */
+function clear() {
+  entries = [];
+  emitter.emit("did-clear");
+}
+
+/**
+ * Serialize entries for export
+ * @param {Object[]} [selection] - Entries to export, defaults to all
+ * @returns {string} JSON text
+ */
+function exportEntries(selection = entries) {
+  return JSON.stringify(
+    selection.map((entry) => ({
+      ...entry,
+      timestamp: new Date(entry.timestamp).toISOString(),
+    })),
+    null,
+    2
+  );
+}
+
+function onDidAddEntry(callback) {
+  return emitter.on("did-add-entry", callback);
+}
+
+function onDidUpdateEntry(callback) {
+  return emitter.on("did-update-entry", callback);
+}
+
+function onDidClear(callback) {
+  return emitter.on("did-clear", callback);
+}
+
+module.exports = {
+  startCall,
+  finishCall,
+  getEntries,
+  clear,
+  exportEntries,
+  onDidAddEntry,
+  onDidUpdateEntry,
+  onDidClear,
+};
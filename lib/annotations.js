@@ -0,0 +1,266 @@
+/**
+ * Editor annotations for pulsar-mcp
+ * Highlights ranges the agent points the user to, grouped under labels. Each
+ * editor gets its own marker layer, so highlights follow edits, and hovering
+ * a highlight shows its message. Highlights of an MCP session are removed
+ * when the session ends.
+ */
+
+const { CompositeDisposable } = require("atom");
+const { serializeRange } = require("./editors");
+
+const GUTTER_NAME = "pulsar-mcp-annotations";
+
+// Annotation state per editor: {layer, gutter, records, hovered, ...}
+const editorStates = new Map();
+let nextId = 1;
+
+/**
+ * Get or create the annotation state of an editor
+ */
+function getState(editor) {
+  let state = editorStates.get(editor);
+  if (state) return state;
+
+  state = {
+    layer: editor.addMarkerLayer(),
+    gutter: null,
+    records: [],
+    hovered: null,
+    overlay: null,
+    disposables: new CompositeDisposable(),
+  };
+  editorStates.set(editor, state);
+
+  // Show the message of the highlight under the mouse
+  const element = atom.views.getView(editor);
+  const onMouseMove = (event) => {
+    const component = element.getComponent?.();
+    if (!component) return;
+    const position = editor.bufferPositionForScreenPosition(
+      component.screenPositionForMouseEvent(event)
+    );
+    const record = state.records.find(
+      (r) => r.message && r.marker.getBufferRange().containsPoint(position)
+    );
+    showMessage(editor, state, record || null);
+  };
+  const onMouseLeave = () => showMessage(editor, state, null);
+  element.addEventListener("mousemove", onMouseMove);
+  element.addEventListener("mouseleave", onMouseLeave);
+
+  state.disposables.add(
+    {
+      dispose: () => {
+        element.removeEventListener("mousemove", onMouseMove);
+        element.removeEventListener("mouseleave", onMouseLeave);
+      },
+    },
+    editor.onDidDestroy(() => {
+      state.disposables.dispose();
+      editorStates.delete(editor);
+    })
+  );
+  return state;
+}
+
+/**
+ * Show the message of a highlight below its start, or hide it for null
+ */
+function showMessage(editor, state, record) {
+  if (state.hovered === record) return;
+  state.hovered = record;
+  state.overlay?.destroy();
+  state.overlay = null;
+  if (!record) return;
+
+  const item = document.createElement("div");
+  item.classList.add("pulsar-mcp-annotation-message", `kind-${record.kind}`);
+  item.textContent = record.message;
+  state.overlay = editor.decorateMarker(record.marker, {
+    type: "overlay",
+    item,
+    position: "tail",
+  });
+}
+
+/**
+ * Get the gutter for gutter icons of an editor
+ */
+function getGutter(editor, state) {
+  if (!state.gutter) {
+    state.gutter = editor.addGutter({ name: GUTTER_NAME, priority: 100 });
+  }
+  return state.gutter;
+}
+
+/**
+ * Remove a highlight and its decorations
+ */
+function destroyRecord(editor, record) {
+  const state = editorStates.get(editor);
+  if (!state) return;
+  if (state.hovered === record) showMessage(editor, state, null);
+  record.disposables.dispose();
+  record.marker.destroy();
+  state.records.splice(state.records.indexOf(record), 1);
+
+  if (state.records.length === 0 && state.gutter) {
+    state.gutter.destroy();
+    state.gutter = null;
+  }
+}
+
+/**
+ * Highlight ranges of an editor
+ * @param {TextEditor} editor - Editor to annotate
+ * @param {Object} options
+ * @param {string} options.label - Group of the highlights
+ * @param {Object[]} options.ranges - [{start, end, message}]
+ * @param {"highlight"|"underline"|"gutter"} options.style - Decoration
+ * @param {"info"|"success"|"warning"|"error"} options.kind - Color
+ * @param {string} [options.message] - Hover message of ranges without one
+ * @param {boolean} options.replace - Remove highlights of the label first
+ * @param {Object} context - Call context with sessionId
+ * @returns {number[]} IDs of the new highlights
+ */
+function addHighlights(editor, options, context) {
+  const state = getState(editor);
+  const sessionId = context.sessionId || null;
+  if (options.replace) {
+    state.records
+      .filter((r) => r.sessionId === sessionId && r.label === options.label)
+      .forEach((r) => destroyRecord(editor, r));
+  }
+
+  return options.ranges.map(({ start, end, message }) => {
+    const marker = state.layer.markBufferRange(
+      [
+        [start.row, start.column],
+        [end.row, end.column],
+      ],
+      { invalidate: "never" }
+    );
+    const record = {
+      id: nextId++,
+      sessionId,
+      label: options.label,
+      style: options.style,
+      kind: options.kind,
+      message: message || options.message || null,
+      marker,
+      disposables: new CompositeDisposable(),
+    };
+
+    const className = `pulsar-mcp-annotation kind-${options.kind}`;
+    if (options.style === "gutter") {
+      const icon = document.createElement("span");
+      icon.classList.add(
+        "pulsar-mcp-annotation-icon",
+        "icon",
+        "icon-comment",
+        `kind-${options.kind}`
+      );
+      getGutter(editor, state);
+      editor.decorateMarker(marker, {
+        type: "gutter",
+        gutterName: GUTTER_NAME,
+        item: icon,
+      });
+      if (record.message) {
+        record.disposables.add(
+          atom.tooltips.add(icon, { title: record.message })
+        );
+      }
+      editor.decorateMarker(marker, {
+        type: "line",
+        class: `${className} style-gutter`,
+      });
+    } else {
+      editor.decorateMarker(marker, {
+        type: "highlight",
+        class: `${className} style-${options.style}`,
+      });
+    }
+
+    state.records.push(record);
+    return record.id;
+  });
+}
+
+/**
+ * Find highlights
+ * @param {Object} filter
+ * @param {TextEditor} [filter.editor] - Only of this editor
+ * @param {string} [filter.label] - Only of this label
+ * @param {string|null} [filter.sessionId] - Only of this session, all if undefined
+ * @returns {Array<{editor, record}>}
+ */
+function findHighlights({ editor, label, sessionId } = {}) {
+  const found = [];
+  for (const [stateEditor, state] of editorStates) {
+    if (editor && stateEditor !== editor) continue;
+    for (const record of state.records) {
+      if (label !== undefined && record.label !== label) continue;
+      if (sessionId !== undefined && record.sessionId !== sessionId) continue;
+      found.push({ editor: stateEditor, record });
+    }
+  }
+  return found;
+}
+
+/**
+ * List highlights with their current ranges
+ * @returns {Object[]} [{id, label, editorId, path, range, style, kind, message}]
+ */
+function listHighlights(filter) {
+  return findHighlights(filter).map(({ editor, record }) => ({
+    id: record.id,
+    label: record.label,
+    editorId: editor.id,
+    path: editor.getPath() || null,
+    range: serializeRange(record.marker.getBufferRange()),
+    style: record.style,
+    kind: record.kind,
+    message: record.message,
+  }));
+}
+
+/**
+ * Remove highlights
+ * @returns {number} Number of removed highlights
+ */
+function clearHighlights(filter) {
+  const found = findHighlights(filter);
+  for (const { editor, record } of found) destroyRecord(editor, record);
+  return found.length;
+}
+
+/**
+ * Remove the highlights of an ended session
+ */
+function dropSession(sessionId) {
+  clearHighlights({ sessionId });
+}
+
+/**
+ * Remove all highlights and release every editor, e.g. on deactivation
+ */
+function clearAll() {
+  for (const [editor, state] of editorStates) {
+    showMessage(editor, state, null);
+    state.records.forEach((record) => record.disposables.dispose());
+    state.layer.destroy();
+    state.gutter?.destroy();
+    state.disposables.dispose();
+  }
+  editorStates.clear();
+}
+
+module.exports = {
+  addHighlights,
+  listHighlights,
+  clearHighlights,
+  clearAll,
+  dropSession,
+};
@@ -0,0 +1,214 @@
+/**
+ * Questions to the user for pulsar-mcp
+ * Shows a modal with a message and a form generated from a flat JSON schema,
+ * the same schema MCP elicitation requests use, and resolves with the
+ * answer. Choices are shown as buttons.
+ */
+
+const { CompositeDisposable } = require("atom");
+const { validate, formatErrors } = require("./schema");
+
+const FIELD_TYPES = ["string", "number", "integer", "boolean"];
+
+/**
+ * Create an element with classes and optional text
+ */
+function createElement(tag, classNames = [], text) {
+  const element = document.createElement(tag);
+  element.classList.add(...classNames);
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Build the schema of a question with choices
+ */
+function choicesSchema(choices) {
+  return {
+    type: "object",
+    properties: { choice: { type: "string", enum: choices } },
+    required: ["choice"],
+  };
+}
+
+/**
+ * Check that a schema is a flat object of primitive fields
+ * @throws {Error} If the schema cannot be shown as a form
+ */
+function checkFormSchema(schema) {
+  if (schema.type !== "object" || typeof schema.properties !== "object") {
+    throw new Error("schema must be an object schema with properties");
+  }
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (!FIELD_TYPES.includes(property.type)) {
+      throw new Error(
+        `schema property ${name} must be of type string, number, integer or boolean`
+      );
+    }
+  }
+}
+
+/**
+ * Create the input control of a form field
+ */
+function createControl(property) {
+  let control;
+  if (property.enum) {
+    control = createElement("select", ["form-control"]);
+    const names = property.enumNames || property.enum;
+    control.append(createElement("option", [], ""));
+    property.enum.forEach((value, index) => {
+      const option = createElement("option", [], String(names[index]));
+      option.value = String(value);
+      control.append(option);
+    });
+  } else if (property.type === "boolean") {
+    control = createElement("input", ["input-checkbox"]);
+    control.type = "checkbox";
+    control.checked = property.default === true;
+    return control;
+  } else {
+    control = createElement("input", ["input-text", "native-key-bindings"]);
+    control.type = property.type === "string" ? "text" : "number";
+  }
+  if (property.default !== undefined) control.value = String(property.default);
+  return control;
+}
+
+/**
+ * Read the value of a form field, undefined if left empty
+ */
+function readControl(control, property) {
+  if (property.type === "boolean") return control.checked;
+  if (control.value === "") return undefined;
+  if (property.type === "string") return control.value;
+  return Number(control.value);
+}
+
+/**
+ * Ask the user a question in a modal
+ * @param {Object} options
+ * @param {string} options.message - Question shown to the user
+ * @param {string[]} [options.choices] - Answers offered as buttons
+ * @param {Object} [options.schema] - Flat object schema of the fields to fill in
+ * @param {number} options.timeout - Give up after this many ms
+ * @param {string} [options.client] - Name of the asking client
+ * @param {AbortSignal} [options.signal] - Close the modal as cancelled
+ * @returns {Promise<Object>} {action: accept|decline|cancel|timeout, content}
+ */
+function askUser({ message, choices, schema, timeout, client, signal }) {
+  if (choices) schema = choicesSchema(choices);
+  if (!schema) {
+    schema = {
+      type: "object",
+      properties: { answer: { type: "string" } },
+      required: ["answer"],
+    };
+  }
+  checkFormSchema(schema);
+  const required = schema.required || [];
+
+  return new Promise((resolve) => {
+    const disposables = new CompositeDisposable();
+    const previouslyFocused = document.activeElement;
+
+    const element = createElement("form", ["pulsar-mcp-ask"]);
+    element.tabIndex = -1;
+    element.append(
+      createElement("div", ["client"], `${client || "MCP client"} asks:`),
+      createElement("div", ["message"], message)
+    );
+
+    const controls = new Map();
+    if (!choices) {
+      for (const [name, property] of Object.entries(schema.properties)) {
+        const field = createElement("label", ["field"]);
+        const title = property.title || name;
+        field.append(
+          createElement(
+            "div",
+            ["title"],
+            required.includes(name) ? `${title} *` : title
+          )
+        );
+        if (property.description) {
+          field.append(
+            createElement("div", ["description"], property.description)
+          );
+        }
+        const control = createControl(property);
+        field.append(control);
+        controls.set(name, control);
+        element.append(field);
+      }
+    }
+
+    const errorText = createElement("div", ["text-error"]);
+    const buttons = createElement("div", ["buttons"]);
+    element.append(errorText, buttons);
+
+    const panel = atom.workspace.addModalPanel({ item: element });
+    let timer;
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      disposables.dispose();
+      panel.destroy();
+      previouslyFocused?.focus?.();
+      resolve(result);
+    };
+
+    if (choices) {
+      for (const choice of choices) {
+        const button = createElement("button", ["btn"], choice);
+        button.type = "button";
+        button.addEventListener("click", () =>
+          finish({ action: "accept", content: { choice } })
+        );
+        buttons.append(button);
+      }
+    } else {
+      const submit = createElement("button", ["btn", "btn-primary"], "Submit");
+      submit.type = "submit";
+      buttons.append(submit);
+    }
+    const decline = createElement("button", ["btn"], "Decline");
+    decline.type = "button";
+    decline.addEventListener("click", () => finish({ action: "decline" }));
+    buttons.append(decline);
+
+    element.addEventListener("submit", (event) => {
+      event.preventDefault();
+      if (choices) return;
+      const content = {};
+      for (const [name, control] of controls) {
+        const value = readControl(control, schema.properties[name]);
+        if (value !== undefined) content[name] = value;
+      }
+      const errors = validate(schema, content);
+      if (errors.length > 0) {
+        errorText.textContent = formatErrors(errors);
+        return;
+      }
+      finish({ action: "accept", content });
+    });
+
+    disposables.add(
+      atom.commands.add(element, {
+        "core:cancel": () => finish({ action: "cancel" }),
+      })
+    );
+    timer = setTimeout(() => finish({ action: "timeout" }), timeout);
+    if (signal) {
+      const onAbort = () => finish({ action: "cancel" });
+      signal.addEventListener("abort", onAbort);
+      disposables.add({
+        dispose: () => signal.removeEventListener("abort", onAbort),
+      });
+    }
+
+    (controls.values().next().value || buttons.firstChild).focus();
+  });
+}
+
+module.exports = { askUser };
@@ -0,0 +1,93 @@
+/**
+ * Request checks of the HTTP bridge for pulsar-mcp
+ * Every route except the health check requires the per-window bearer token,
+ * and browser requests from other origins are rejected.
+ *
+ * Kept free of the atom global, so it can be tested outside Pulsar.
+ */
+
+const crypto = require("crypto");
+const { URL } = require("url");
+
+/**
+ * Generate a per-window bridge secret
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Check the bearer token of a request in constant time
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} token - Expected bridge secret
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+/**
+ * Reject browser requests from other origins and DNS rebinding attempts.
+ * Non-browser clients send no Origin header, so only loopback origins of
+ * this very bridge are accepted when one is present.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} port - Bridge port
+ * @returns {boolean}
+ */
+function isAllowedOrigin(req, port) {
+  const allowedHosts = [
+    `127.0.0.1:${port}`,
+    `localhost:${port}`,
+    `[::1]:${port}`,
+  ];
+
+  if (req.headers.host && !allowedHosts.includes(req.headers.host)) {
+    return false;
+  }
+
+  const origin = req.headers.origin;
+  if (origin === undefined) return true;
+  return allowedHosts.some((host) => origin === `http://${host}`);
+}
+
+/**
+ * Decide whether the bridge may serve a request
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {Object} options
+ * @param {string} options.token - Expected bridge secret
+ * @param {number} options.port - Bridge port
+ * @returns {{status: number, error: string, headers: Object}|null} The
+ *   rejection to send, null if the request may be served
+ */
+function checkRequest(req, { token, port }) {
+  // Cross-origin browser requests never get through, including preflights
+  if (!isAllowedOrigin(req, port)) {
+    return { status: 403, error: "Forbidden origin", headers: {} };
+  }
+
+  // The health check needs no token
+  const { pathname } = new URL(req.url ?? "/", "http://127.0.0.1");
+  if (req.method === "GET" && pathname === "/health") return null;
+
+  if (!isAuthorized(req, token)) {
+    return {
+      status: 401,
+      error: "Unauthorized",
+      headers: { "WWW-Authenticate": 'Bearer realm="pulsar-mcp"' },
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  generateToken,
+  isAuthorized,
+  isAllowedOrigin,
+  checkRequest,
+};
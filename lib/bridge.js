@@ -6,8 +6,30 @@
 const crypto = require("crypto");
 const http = require("http");
 const { URL } = require("url");
-const { getToolsList, executeTool: executeBuiltinTool } = require("./tools");
+const {
+  getToolsList,
+  getToolByName,
+  executeTool: executeBuiltinTool,
+} = require("./tools");
+const {
+  EMPTY_SCHEMA,
+  validate,
+  applyDefaults,
+  formatErrors,
+} = require("./schema");
 const { createLogger } = require("./log");
+const { writeRecord, removeRecord } = require("./registry");
+const { generateToken, checkRequest } = require("./auth");
+const resources = require("./resources");
+const policy = require("./policy");
+const activity = require("./activity");
+const annotations = require("./annotations");
+const {
+  getPromptsList,
+  getPromptByName,
+  getMissingArguments,
+  normalizePromptResult,
+} = require("./prompts");
 const {
   name: SERVER_NAME,
   version: SERVER_VERSION,
@@ -18,13 +40,29 @@ const log = createLogger("Bridge");
 const DEFAULT_PORT = 3000;
 const DEFAULT_HOST = "127.0.0.1";
 const PROTOCOL_VERSION = "2025-11-25";
+const STREAM_KEEPALIVE_MS = 30000;
+const CLIENT_REQUEST_TIMEOUT_MS = 600000;
+const DEFAULT_MAX_TOKENS = 1024;
 
 // Session storage for MCP connections
 const sessions = new Map();
 
+// Requests sent to clients and waiting for their response, by request ID
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+// Abort controllers of running tool calls, by session and request ID
+const runningCalls = new Map();
+
+// Controllers of calls the client cancelled, these get no response
+const cancelledCalls = new WeakSet();
+
 // External tools registered by other packages
 let externalToolsMap = new Map();
 
+// External prompts registered by other packages
+let externalPromptsMap = new Map();
+
 /**
  * Set external tools from main.js
  * @param {Map} toolsMap - Map of tool name to tool definition
@@ -36,45 +74,193 @@ function setExternalTools(toolsMap) {
       Array.from(toolsMap.keys()).join(", ") || "(none)"
     }`
   );
+  sendNotification(null, "notifications/tools/list_changed");
+}
+
+/**
+ * Set external prompts from main.js
+ * @param {Map} promptsMap - Map of prompt name to prompt definition
+ */
+function setExternalPrompts(promptsMap) {
+  externalPromptsMap = promptsMap;
+  log.debug(
+    `External prompts updated: ${
+      Array.from(promptsMap.keys()).join(", ") || "(none)"
+    }`
+  );
+  sendNotification(null, "notifications/prompts/list_changed");
 }
 
 /**
  * Execute a tool call (builtin or external)
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} [context] - Call context
+ * @param {string} [context.sessionId] - MCP session of the caller
+ * @param {Object} [context.clientInfo] - Client info of the caller
+ * @param {Function} [context.elicit] - Ask the user through the client
+ * @param {AbortSignal} [context.signal] - Aborted when the client cancels
+ * @param {Function} [context.progress] - Report progress to the client
  */
-async function executeTool(toolName, args) {
+async function executeTool(toolName, args, context = {}) {
   log.debug(`Executing tool: ${toolName}`, { args });
-  const start = performance.now();
 
-  let result;
+  // Show the call in the activity log while it runs
+  const entry = activity.startCall({
+    tool: toolName,
+    args,
+    sessionId: context.sessionId,
+    client: context.clientInfo?.name,
+  });
 
-  // Try builtin tool first
-  result = await executeBuiltinTool(toolName, args);
+  // Tools see the activity entry ID as call ID, e.g. to record their edits.
+  // Their signal is aborted when the client cancels or the call times out.
+  const controller = new AbortController();
+  const cancelled = context.signal;
+  const onCancel = () => controller.abort(cancelled.reason);
+  cancelled?.addEventListener("abort", onCancel);
+  context = {
+    ...context,
+    callId: entry.id,
+    signal: controller.signal,
+    progress: context.progress || (() => {}),
+  };
 
-  // If not found, check external tools
-  if (!result.success && result.error === `Unknown tool: ${toolName}`) {
-    if (externalToolsMap.has(toolName)) {
-      const tool = externalToolsMap.get(toolName);
-      try {
-        const data = await tool.execute(args);
-        result = { success: true, data };
-      } catch (error) {
-        result = { success: false, error: error.message || String(error) };
+  // The listener must not outlive the call, whichever way it ends
+  try {
+    // Validate arguments against the input schema and fill in defaults
+    const definition =
+      getToolByName(toolName) || externalToolsMap.get(toolName);
+    if (definition) {
+      const schema = definition.inputSchema || EMPTY_SCHEMA;
+      const errors = validate(schema, args);
+      if (errors.length > 0) {
+        log.debug(`Invalid arguments for ${toolName}`, { errors });
+        const result = {
+          success: false,
+          error: `Invalid params: ${formatErrors(errors)}`,
+          invalidParams: errors,
+        };
+        activity.finishCall(entry, result, 0);
+        return result;
       }
+      args = applyDefaults(schema, args);
+
+      // Ask for approval according to the tool policy
+      const approval = await policy.checkApproval(definition, args, context);
+      if (!approval.allowed) {
+        const result = { success: false, error: approval.reason };
+        activity.finishCall(entry, result, 0);
+        return result;
+      }
+    }
+
+    const start = performance.now();
+    const result = await runUntilAborted(
+      () => runTool(toolName, args, context),
+      controller,
+      getToolTimeout(toolName)
+    );
+
+    const elapsed = performance.now() - start;
+    activity.finishCall(entry, result, elapsed);
+
+    const duration = elapsed.toFixed(2);
+    if (result.success) {
+      log.debug(`Tool ${toolName} completed in ${duration}ms`, {
+        data: result.data,
+      });
+    } else {
+      log.debug(`Tool ${toolName} failed in ${duration}ms`, {
+        error: result.error,
+      });
     }
+
+    return result;
+  } finally {
+    cancelled?.removeEventListener("abort", onCancel);
   }
+}
 
-  const duration = (performance.now() - start).toFixed(2);
-  if (result.success) {
-    log.debug(`Tool ${toolName} completed in ${duration}ms`, {
-      data: result.data,
-    });
-  } else {
-    log.debug(`Tool ${toolName} failed in ${duration}ms`, {
-      error: result.error,
-    });
+/**
+ * Run a builtin or external tool
+ * @returns {Promise<Object>} {success, data} or {success, error}
+ */
+async function runTool(toolName, args, context) {
+  // Try builtin tool first
+  const result = await executeBuiltinTool(toolName, args, context);
+  if (result.success || result.error !== `Unknown tool: ${toolName}`) {
+    return result;
+  }
+
+  // If not found, check external tools
+  const tool = externalToolsMap.get(toolName);
+  if (!tool) return result;
+  try {
+    const data = await tool.execute(args, context);
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message || String(error) };
+  }
+}
+
+/**
+ * Get the timeout of a tool from the settings, a per-tool entry
+ * "ToolName=seconds" wins over the default
+ * @returns {number} Timeout in ms, 0 for none
+ */
+function getToolTimeout(toolName) {
+  const { default: seconds, perTool } = atom.config.get(
+    "pulsar-mcp.toolTimeouts"
+  );
+  for (const entry of perTool) {
+    const [name, value] = entry.split("=").map((part) => part.trim());
+    if (name === toolName && value !== "" && !isNaN(value)) {
+      return Number(value) * 1000;
+    }
   }
+  return seconds * 1000;
+}
 
-  return result;
+/**
+ * Run a tool call until it finishes or its controller is aborted, by the
+ * client or by the timeout. Aborted calls fail right away, tools listening
+ * to the signal stop their work.
+ * @param {Function} run - Starts the call, resolves with its result
+ * @param {AbortController} controller - Controller of the call signal
+ * @param {number} timeout - Abort after this many ms, 0 for never
+ * @returns {Promise<Object>} {success, data} or {success, error}
+ */
+async function runUntilAborted(run, controller, timeout) {
+  const { signal } = controller;
+  let timer;
+  if (timeout > 0) {
+    timer = setTimeout(
+      () =>
+        controller.abort(
+          new Error(`Tool call timed out after ${timeout / 1000} seconds`)
+        ),
+      timeout
+    );
+  }
+  let onAbort;
+  const aborted = new Promise((resolve) => {
+    onAbort = () =>
+      resolve({
+        success: false,
+        error: signal.reason?.message || "Tool call was cancelled",
+      });
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort);
+  });
+  try {
+    // A call cancelled while waiting for approval never starts
+    if (signal.aborted) return await aborted;
+    return await Promise.race([run(), aborted]);
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener("abort", onAbort);
+  }
 }
 
 // ============================================================================
@@ -107,7 +293,6 @@ function parseBody(req) {
 function sendJson(res, data, statusCode = 200, extraHeaders = {}) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json",
-    "Access-Control-Allow-Origin": "*",
     ...extraHeaders,
   });
   res.end(JSON.stringify(data));
@@ -140,6 +325,208 @@ function jsonRpcError(id, code, message, data) {
   return { jsonrpc: "2.0", id, error };
 }
 
+/**
+ * Write a JSON-RPC message as server-sent event
+ */
+function writeEvent(stream, message) {
+  stream.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Send a JSON-RPC notification to a session over its GET event stream.
+ * Sessions without an open stream silently miss the notification.
+ * @param {string|null} sessionId - Target session, or null for all sessions
+ * @param {string} method - Notification method
+ * @param {Object} [params] - Notification params
+ */
+function sendNotification(sessionId, method, params) {
+  const message = { jsonrpc: "2.0", method };
+  if (params !== undefined) message.params = params;
+
+  const targets =
+    sessionId === null
+      ? Array.from(sessions.values())
+      : [sessions.get(sessionId)];
+  for (const session of targets) {
+    if (session?.stream) writeEvent(session.stream, message);
+  }
+}
+
+/**
+ * Send a JSON-RPC request to a session over its GET event stream
+ * @param {string} sessionId - Target session
+ * @param {string} method - Request method
+ * @param {Object} [params] - Request params
+ * @returns {Promise<Object>} Result sent back by the client
+ * @throws {Error} If the session has no open stream, the client answers
+ *   with an error or does not answer in time
+ */
+function sendRequest(sessionId, method, params) {
+  const session = sessions.get(sessionId);
+  if (!session?.stream) {
+    return Promise.reject(
+      new Error("The MCP client has no open event stream for requests")
+    );
+  }
+
+  const id = `pulsar-mcp-${nextRequestId++}`;
+  const message = { jsonrpc: "2.0", id, method };
+  if (params !== undefined) message.params = params;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`The MCP client did not answer ${method} in time`));
+    }, CLIENT_REQUEST_TIMEOUT_MS);
+    pendingRequests.set(id, { sessionId, method, resolve, reject, timer });
+    writeEvent(session.stream, message);
+    log.debug(`Sent ${method} request ${id} to ${sessionId}`);
+  });
+}
+
+/**
+ * Settle a pending request with the response POSTed by the client
+ * @param {Object} message - JSON-RPC response
+ * @param {string} sessionId - Session that sent the response
+ */
+function handleClientResponse(message, sessionId) {
+  const pending = pendingRequests.get(message.id);
+  if (!pending) {
+    log.debug(`Ignoring response to unknown request ${message.id}`);
+    return;
+  }
+  // Only the session the request went to may answer it
+  if (pending.sessionId !== sessionId) {
+    log.debug(`Ignoring response to ${message.id} from another session`);
+    return;
+  }
+  pendingRequests.delete(message.id);
+  clearTimeout(pending.timer);
+  if (message.error) {
+    pending.reject(
+      new Error(message.error.message || `${pending.method} failed`)
+    );
+  } else {
+    pending.resolve(message.result);
+  }
+}
+
+/**
+ * Build the call context of a session, with elicit() if the client
+ * supports elicitation
+ */
+function sessionContext(sessionId) {
+  const session = sessions.get(sessionId);
+  const context = { sessionId, clientInfo: session?.clientInfo };
+  if (session?.capabilities.elicitation) {
+    /**
+     * Ask the user through the client with an elicitation/create request
+     * @param {Object} params - {message, requestedSchema}
+     * @returns {Promise<Object>} {action: accept|decline|cancel, content}
+     */
+    context.elicit = (params) =>
+      sendRequest(sessionId, "elicitation/create", params);
+  }
+  return context;
+}
+
+/**
+ * Find the most recently active session whose client accepts sampling
+ * requests, or the given session if it does
+ * @param {string} [sessionId] - Session to use instead of the latest one
+ * @returns {string|null} Session ID
+ */
+function findSamplingSession(sessionId) {
+  const candidates = Array.from(sessions.entries()).filter(
+    ([id, session]) =>
+      session.capabilities.sampling &&
+      session.stream &&
+      (sessionId === undefined || id === sessionId)
+  );
+  if (candidates.length === 0) return null;
+  candidates.sort(([, a], [, b]) => b.activeAt - a.activeAt);
+  return candidates[0][0];
+}
+
+/**
+ * Check whether a connected client can answer completion requests
+ * @returns {boolean}
+ */
+function canRequestCompletion() {
+  return findSamplingSession() !== null;
+}
+
+/**
+ * Ask the model of a connected client for a completion with a
+ * sampling/createMessage request. The client may ask its user to approve
+ * or edit the request and the result first.
+ * @param {Array<Object>} messages - [{role: user|assistant, content}], content
+ *   is a string or MCP content ({type: "text", text}, {type: "image", ...})
+ * @param {Object} [options]
+ * @param {string} [options.systemPrompt] - System prompt
+ * @param {number} [options.maxTokens] - Token limit of the answer
+ * @param {number} [options.temperature] - Sampling temperature
+ * @param {string[]} [options.stopSequences] - Sequences that end the answer
+ * @param {Object} [options.modelPreferences] - {hints, costPriority, ...}
+ * @param {Object} [options.metadata] - Provider specific metadata
+ * @param {string} [options.sessionId] - Session to ask (default: the most
+ *   recently active one that supports sampling)
+ * @returns {Promise<Object>} {role, content, model, stopReason}
+ * @throws {Error} If no client supports sampling or the client refuses
+ */
+function requestCompletion(messages, options = {}) {
+  const sessionId = findSamplingSession(options.sessionId);
+  if (!sessionId) {
+    return Promise.reject(
+      new Error("No connected MCP client supports sampling")
+    );
+  }
+
+  const params = {
+    messages: messages.map(({ role, content }) => ({
+      role,
+      content:
+        typeof content === "string" ? { type: "text", text: content } : content,
+    })),
+    maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+  };
+  for (const key of [
+    "systemPrompt",
+    "temperature",
+    "stopSequences",
+    "modelPreferences",
+    "metadata",
+  ]) {
+    if (options[key] !== undefined) params[key] = options[key];
+  }
+  return sendRequest(sessionId, "sampling/createMessage", params);
+}
+
+/**
+ * Terminate a session and release everything bound to it
+ */
+function endSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  session.stream?.end();
+  for (const [id, pending] of pendingRequests) {
+    if (pending.sessionId !== sessionId) continue;
+    pendingRequests.delete(id);
+    clearTimeout(pending.timer);
+    pending.reject(new Error("The MCP session ended"));
+  }
+  for (const [key, controller] of runningCalls) {
+    if (JSON.parse(key)[0] !== sessionId) continue;
+    runningCalls.delete(key);
+    controller.abort(new Error("The MCP session ended"));
+  }
+  resources.dropSession(sessionId);
+  policy.dropSession(sessionId);
+  annotations.dropSession(sessionId);
+  log.debug(`MCP session terminated: ${sessionId}`);
+}
+
 /**
  * Handle MCP initialize request
  */
@@ -149,7 +536,10 @@ function handleInitialize(id, params) {
     initialized: true,
     protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
     clientInfo: params.clientInfo,
+    capabilities: params.capabilities || {},
     createdAt: Date.now(),
+    activeAt: Date.now(),
+    stream: null,
   });
 
   log.debug(`MCP session initialized: ${sessionId}`);
@@ -158,7 +548,9 @@ function handleInitialize(id, params) {
     response: jsonRpcResponse(id, {
       protocolVersion: PROTOCOL_VERSION,
       capabilities: {
-        tools: { listChanged: false },
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: true },
       },
       serverInfo: {
         name: SERVER_NAME,
@@ -181,11 +573,7 @@ function handleToolsList(id) {
     mcpTools.push({
       name: tool.name,
       description: tool.description || "",
-      inputSchema: tool.inputSchema || {
-        type: "object",
-        properties: {},
-        required: [],
-      },
+      inputSchema: tool.inputSchema || EMPTY_SCHEMA,
       annotations: tool.annotations,
     });
   }
@@ -193,17 +581,65 @@ function handleToolsList(id) {
   return jsonRpcResponse(id, { tools: mcpTools });
 }
 
+/**
+ * Key of a running call in runningCalls
+ */
+function callKey(sessionId, requestId) {
+  return JSON.stringify([sessionId, requestId]);
+}
+
 /**
  * Handle MCP tools/call request
+ * @param {Function} notify - Send a notification related to the request
+ * @returns {Promise<Object|null>} Response, null if the client cancelled
  */
-async function handleToolsCall(id, params) {
+async function handleToolsCall(id, params, sessionId, notify) {
   const { name, arguments: args = {} } = params;
 
   if (!name) {
     return jsonRpcError(id, -32602, "Invalid params: missing tool name");
   }
 
-  const result = await executeTool(name, args);
+  // notifications/cancelled aborts the call through this controller
+  const controller = new AbortController();
+  const key = callKey(sessionId, id);
+  runningCalls.set(key, controller);
+  const context = { ...sessionContext(sessionId), signal: controller.signal };
+
+  const progressToken = params._meta?.progressToken;
+  if (progressToken !== undefined) {
+    /**
+     * Report progress with a notifications/progress notification
+     * @param {number} progress - Progress so far, increasing with each call
+     * @param {number} [total] - Total, if known
+     * @param {string} [message] - What is being done
+     */
+    context.progress = (progress, total, message) => {
+      const progressParams = { progressToken, progress };
+      if (total !== undefined) progressParams.total = total;
+      if (message !== undefined) progressParams.message = message;
+      notify("notifications/progress", progressParams);
+    };
+  }
+
+  let result;
+  try {
+    result = await executeTool(name, args, context);
+  } finally {
+    if (runningCalls.get(key) === controller) runningCalls.delete(key);
+  }
+
+  // The client no longer waits for a response it cancelled
+  if (cancelledCalls.has(controller)) {
+    log.debug(`Tool call ${name} cancelled by the client`);
+    return null;
+  }
+
+  if (result.invalidParams) {
+    return jsonRpcError(id, -32602, result.error, {
+      errors: result.invalidParams,
+    });
+  }
 
   if (result.success) {
     return jsonRpcResponse(id, {
@@ -228,10 +664,105 @@ async function handleToolsCall(id, params) {
   }
 }
 
+/**
+ * Handle MCP prompts/list request
+ */
+function handlePromptsList(id) {
+  // Builtin prompts
+  const mcpPrompts = getPromptsList();
+
+  // External prompts
+  for (const prompt of externalPromptsMap.values()) {
+    mcpPrompts.push({
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description || "",
+      arguments: prompt.arguments || [],
+    });
+  }
+
+  return jsonRpcResponse(id, { prompts: mcpPrompts });
+}
+
+/**
+ * Handle MCP prompts/get request
+ */
+async function handlePromptsGet(id, params) {
+  const { name, arguments: args = {} } = params;
+
+  const prompt = getPromptByName(name) || externalPromptsMap.get(name);
+  if (!prompt) {
+    return jsonRpcError(id, -32602, `Invalid params: unknown prompt: ${name}`);
+  }
+
+  const missing = getMissingArguments(prompt, args);
+  if (missing.length > 0) {
+    return jsonRpcError(
+      id,
+      -32602,
+      `Invalid params: missing required arguments: ${missing.join(", ")}`
+    );
+  }
+
+  try {
+    const result = normalizePromptResult(await prompt.get(args));
+    return jsonRpcResponse(id, result);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    log.debug(`Prompt ${name} failed`, { error: message });
+    return jsonRpcError(id, -32603, message);
+  }
+}
+
+/**
+ * Handle MCP resources/read request
+ */
+function handleResourcesRead(id, params) {
+  const { uri } = params;
+  if (typeof uri !== "string") {
+    return jsonRpcError(id, -32602, "Invalid params: missing resource uri");
+  }
+
+  const contents = resources.readResource(uri);
+  if (!contents) {
+    return jsonRpcError(id, -32002, "Resource not found", { uri });
+  }
+  return jsonRpcResponse(id, { contents });
+}
+
+/**
+ * Handle MCP resources/subscribe and resources/unsubscribe requests
+ */
+function handleResourcesSubscription(id, params, sessionId, subscribe) {
+  const { uri } = params;
+  if (!sessions.has(sessionId)) {
+    return jsonRpcError(
+      id,
+      -32600,
+      "Invalid Request: missing or unknown session"
+    );
+  }
+  if (typeof uri !== "string") {
+    return jsonRpcError(id, -32602, "Invalid params: missing resource uri");
+  }
+
+  if (subscribe) {
+    if (!resources.subscribe(sessionId, uri)) {
+      return jsonRpcError(id, -32002, "Resource not found", { uri });
+    }
+  } else {
+    resources.unsubscribe(sessionId, uri);
+  }
+  return jsonRpcResponse(id, {});
+}
+
 /**
  * Handle MCP JSON-RPC request
+ * @param {Object} body - JSON-RPC message
+ * @param {string} sessionId - MCP session of the caller
+ * @param {Function} notify - Send a notification related to the request
  */
-async function handleMcpRequest(body) {
+async function handleMcpRequest(body, sessionId, notify) {
   const { jsonrpc, id, method, params = {} } = body;
 
   if (jsonrpc !== "2.0") {
@@ -244,6 +775,15 @@ async function handleMcpRequest(body) {
     };
   }
 
+  const session = sessions.get(sessionId);
+  if (session) session.activeAt = Date.now();
+
+  // Responses to requests this server sent to the client
+  if (method === undefined && ("result" in body || "error" in body)) {
+    handleClientResponse(body, sessionId);
+    return { response: null, statusCode: 202 };
+  }
+
   log.debug(`MCP request: ${method}`, { id, params });
 
   switch (method) {
@@ -258,7 +798,55 @@ async function handleMcpRequest(body) {
       return { response: handleToolsList(id) };
 
     case "tools/call":
-      return { response: await handleToolsCall(id, params) };
+      return {
+        response: await handleToolsCall(id, params, sessionId, notify),
+      };
+
+    case "notifications/cancelled": {
+      const controller = runningCalls.get(callKey(sessionId, params.requestId));
+      if (controller) {
+        cancelledCalls.add(controller);
+        controller.abort(
+          new Error(
+            params.reason
+              ? `Cancelled by the client: ${params.reason}`
+              : "Cancelled by the client"
+          )
+        );
+      }
+      return { response: null, statusCode: 202 };
+    }
+
+    case "prompts/list":
+      return { response: handlePromptsList(id) };
+
+    case "prompts/get":
+      return { response: await handlePromptsGet(id, params) };
+
+    case "resources/list":
+      return {
+        response: jsonRpcResponse(id, { resources: resources.listResources() }),
+      };
+
+    case "resources/templates/list":
+      return {
+        response: jsonRpcResponse(id, {
+          resourceTemplates: resources.listResourceTemplates(),
+        }),
+      };
+
+    case "resources/read":
+      return { response: handleResourcesRead(id, params) };
+
+    case "resources/subscribe":
+      return {
+        response: handleResourcesSubscription(id, params, sessionId, true),
+      };
+
+    case "resources/unsubscribe":
+      return {
+        response: handleResourcesSubscription(id, params, sessionId, false),
+      };
 
     case "ping":
       return { response: jsonRpcResponse(id, {}) };
@@ -285,10 +873,24 @@ async function handleMcpEndpoint(req, res) {
     return;
   }
 
-  // Handle batch requests (JSON-RPC 2.0 batching)
+  // Handle batch requests (JSON-RPC 2.0 batching), their notifications go
+  // to the GET event stream. A session can only start with a single
+  // initialize, a batch has no way to return its Mcp-Session-Id.
   if (Array.isArray(body)) {
+    const notify = (method, params) =>
+      sendNotification(sessionId, method, params);
     const results = await Promise.all(
-      body.map((request) => handleMcpRequest(request, sessionId))
+      body.map((request) =>
+        request?.method === "initialize"
+          ? {
+              response: jsonRpcError(
+                request.id ?? null,
+                -32600,
+                "Invalid Request: initialize must not be part of a batch"
+              ),
+            }
+          : handleMcpRequest(request, sessionId, notify)
+      )
     );
     // Filter out null responses (notifications) and extract response objects
     const responses = results
@@ -296,7 +898,7 @@ async function handleMcpEndpoint(req, res) {
       .map((r) => r.response);
     // If all were notifications, return 202
     if (responses.length === 0) {
-      res.writeHead(202, { "Access-Control-Allow-Origin": "*" });
+      res.writeHead(202);
       res.end();
       return;
     }
@@ -304,12 +906,39 @@ async function handleMcpEndpoint(req, res) {
     return;
   }
 
-  // Handle single request
-  const result = await handleMcpRequest(body, sessionId);
+  // Handle single request. If the client accepts an event stream, the
+  // response turns into one on the first notification, such as progress.
+  const acceptsStream = (req.headers.accept || "").includes(
+    "text/event-stream"
+  );
+  let streaming = false;
+  const notify = (method, params) => {
+    // Tools that ignore their signal may report after the response is sent
+    if (res.writableEnded) return;
+    if (!acceptsStream) {
+      sendNotification(sessionId, method, params);
+      return;
+    }
+    if (!streaming) {
+      streaming = true;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+      });
+    }
+    writeEvent(res, { jsonrpc: "2.0", method, params });
+  };
+  const result = await handleMcpRequest(body, sessionId, notify);
+
+  if (streaming) {
+    if (result.response !== null) writeEvent(res, result.response);
+    res.end();
+    return;
+  }
 
   // If no response needed (notification), return 202
   if (result.response === null) {
-    res.writeHead(202, { "Access-Control-Allow-Origin": "*" });
+    res.writeHead(202);
     res.end();
     return;
   }
@@ -323,6 +952,51 @@ async function handleMcpEndpoint(req, res) {
   sendJson(res, result.response, 200, headers);
 }
 
+/**
+ * Handle GET /mcp endpoint: open the server-to-client event stream
+ */
+function handleMcpStream(req, res) {
+  const sessionId = req.headers["mcp-session-id"];
+  const session = sessions.get(sessionId);
+
+  if (!sessionId) {
+    sendJson(res, { error: "Missing Mcp-Session-Id header" }, 400);
+    return;
+  }
+  if (!session) {
+    sendJson(res, { error: "Session not found" }, 404);
+    return;
+  }
+  if (!(req.headers.accept || "").includes("text/event-stream")) {
+    sendJson(res, { error: "Accept must include text/event-stream" }, 406);
+    return;
+  }
+
+  // Only one stream per session, a reconnect replaces the previous one
+  session.stream?.end();
+  session.stream = res;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+
+  // Comment lines keep idle connections from being dropped by clients
+  const keepalive = setInterval(
+    () => res.write(": ping\n\n"),
+    STREAM_KEEPALIVE_MS
+  );
+
+  res.on("close", () => {
+    clearInterval(keepalive);
+    if (session.stream === res) session.stream = null;
+  });
+
+  log.debug(`MCP stream opened: ${sessionId}`);
+}
+
 /**
  * Check if a port is available by attempting to bind to it
  * @param {number} port - Port to check
@@ -369,10 +1043,16 @@ async function findAvailablePort(
 
 /**
  * Start the HTTP bridge server
+ * @param {Object} config
+ * @param {number} [config.port] - Base port to try first
+ * @param {string} [config.host] - Host to bind to
+ * @param {string} [config.configDir] - Pulsar config directory for the bridge record
+ * @param {Object} [config.window] - Initial window info (projectPaths, title, focusedAt)
  */
 async function startBridge(config = {}) {
   const requestedPort = config.port ?? DEFAULT_PORT;
   const host = config.host ?? DEFAULT_HOST;
+  const token = generateToken();
 
   // Find an available port
   const port = await findAvailablePort(requestedPort, host);
@@ -381,46 +1061,52 @@ async function startBridge(config = {}) {
   }
 
   const server = http.createServer(async (req, res) => {
-    // Handle CORS preflight
-    if (req.method === "OPTIONS") {
-      res.writeHead(204, {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Mcp-Session-Id, Accept",
-        "Access-Control-Expose-Headers": "Mcp-Session-Id",
-      });
-      res.end();
-      return;
-    }
-
     const url = new URL(req.url ?? "/", `http://${host}:${port}`);
     const pathname = url.pathname;
 
+    // Foreign origins and requests without the bridge secret are rejected
+    const rejection = checkRequest(req, { token, port });
+    if (rejection) {
+      log.debug(
+        `${rejection.status} ${rejection.error}: ${req.method} ${pathname}`
+      );
+      sendJson(
+        res,
+        { error: rejection.error },
+        rejection.status,
+        rejection.headers
+      );
+      return;
+    }
+
     try {
+      // GET /health - Health check (no authentication required)
+      if (req.method === "GET" && pathname === "/health") {
+        sendJson(res, { status: "ok", timestamp: Date.now() });
+        return;
+      }
+
       // POST /mcp - MCP Protocol endpoint
       if (req.method === "POST" && pathname === "/mcp") {
         await handleMcpEndpoint(req, res);
         return;
       }
 
+      // GET /mcp - Server-to-client event stream
+      if (req.method === "GET" && pathname === "/mcp") {
+        handleMcpStream(req, res);
+        return;
+      }
+
       // DELETE /mcp - Session termination
       if (req.method === "DELETE" && pathname === "/mcp") {
         const sessionId = req.headers["mcp-session-id"];
-        if (sessionId && sessions.has(sessionId)) {
-          sessions.delete(sessionId);
-          log.debug(`MCP session terminated: ${sessionId}`);
-        }
-        res.writeHead(204, { "Access-Control-Allow-Origin": "*" });
+        if (sessionId) endSession(sessionId);
+        res.writeHead(204);
         res.end();
         return;
       }
 
-      // GET /health - Health check
-      if (req.method === "GET" && pathname === "/health") {
-        sendJson(res, { status: "ok", timestamp: Date.now() });
-        return;
-      }
-
       // GET /tools - List available tools (REST API)
       if (req.method === "GET" && pathname === "/tools") {
         const builtinTools = getToolsList();
@@ -428,11 +1114,7 @@ async function startBridge(config = {}) {
           (t) => ({
             name: t.name,
             description: t.description || "",
-            inputSchema: t.inputSchema || {
-              type: "object",
-              properties: {},
-              required: [],
-            },
+            inputSchema: t.inputSchema || EMPTY_SCHEMA,
             annotations: t.annotations,
           })
         );
@@ -472,6 +1154,30 @@ async function startBridge(config = {}) {
 
   server.listen(port, host);
 
+  // Watch open editors for resource notifications
+  const resourceWatcher = resources.activate(sendNotification);
+
+  // Publish the bridge so server.js can find this window and its token
+  const record = {
+    port,
+    host,
+    pid: process.pid,
+    token,
+    projectPaths: [],
+    title: null,
+    startedAt: Date.now(),
+    focusedAt: 0,
+    ...config.window,
+  };
+  const publishRecord = () => {
+    try {
+      writeRecord(record, config.configDir);
+    } catch (error) {
+      log.warn(`Could not publish bridge record: ${error.message}`);
+    }
+  };
+  publishRecord();
+
   const builtinTools = getToolsList();
   log.debug(`Bridge listening on http://${host}:${port}`);
   log.debug(`Available tools: ${builtinTools.map((t) => t.name).join(", ")}`);
@@ -479,8 +1185,22 @@ async function startBridge(config = {}) {
   return {
     port,
     host,
+    token,
+    /**
+     * Update the published window info
+     * @param {Object} fields - Any of projectPaths, title, focusedAt
+     */
+    updateRecord: (fields) => {
+      Object.assign(record, fields);
+      publishRecord();
+    },
     stop: () =>
       new Promise((resolve, reject) => {
+        removeRecord(port, config.configDir);
+        resourceWatcher.dispose();
+        for (const sessionId of Array.from(sessions.keys())) {
+          endSession(sessionId);
+        }
         server.close((err) => {
           if (err) reject(err);
           else resolve();
@@ -497,4 +1217,11 @@ async function stopBridge(bridge) {
   log.debug("Bridge stopped");
 }
 
-module.exports = { startBridge, stopBridge, setExternalTools };
+module.exports = {
+  startBridge,
+  stopBridge,
+  setExternalTools,
+  setExternalPrompts,
+  canRequestCompletion,
+  requestCompletion,
+};
@@ -0,0 +1,91 @@
+/**
+ * Command dispatch for pulsar-mcp
+ * Lists the commands available on an editor or the workspace and dispatches
+ * them, limited to the commands matching the allowlist and not the denylist
+ * of the package settings.
+ */
+
+const { resolveEditor } = require("./editors");
+
+/**
+ * Check whether a command name matches a pattern, * matches any text
+ */
+function matchesPattern(name, pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Check whether a command may be dispatched by agents. The denylist wins
+ * over the allowlist.
+ */
+function isCommandAllowed(name) {
+  const { allowlist, denylist } = atom.config.get("pulsar-mcp.commands");
+  if (denylist.some((pattern) => matchesPattern(name, pattern))) return false;
+  return allowlist.some((pattern) => matchesPattern(name, pattern));
+}
+
+/**
+ * Get the element commands are dispatched on
+ * @param {Object} target - {target: "editor"|"workspace", editorId, path}
+ * @returns {Object} {element, editor}, editor is null for the workspace
+ */
+function resolveTarget({ target, editorId, path }) {
+  if (target === "workspace") {
+    return { element: atom.views.getView(atom.workspace), editor: null };
+  }
+  const editor = resolveEditor({ editorId, path });
+  if (!editor) {
+    if (target === "editor") throw new Error("No active editor");
+    return { element: atom.views.getView(atom.workspace), editor: null };
+  }
+  return { element: atom.views.getView(editor), editor };
+}
+
+/**
+ * List the commands available on a target
+ * @returns {Object[]} [{name, displayName, description, allowed}] by name
+ */
+function listCommands(element) {
+  return atom.commands
+    .findCommands({ target: element })
+    .map((command) => ({
+      name: command.name,
+      displayName: command.displayName || null,
+      description: command.description || null,
+      allowed: isCommandAllowed(command.name),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Dispatch a command on a target element
+ * @throws {Error} If the command is not allowed
+ * @returns {Promise<Object>} {found, handled}
+ */
+async function dispatchCommand(element, name) {
+  if (!isCommandAllowed(name)) {
+    throw new Error(
+      `Command ${name} is not allowed, see the Commands allowlist and denylist settings`
+    );
+  }
+  const found = atom.commands
+    .findCommands({ target: element })
+    .some((command) => command.name === name);
+  if (!found) return { found: false, handled: false };
+
+  // Resolves once all handlers are done, null if no handler ran
+  const result = atom.commands.dispatch(element, name);
+  if (result) await result;
+  return { found: true, handled: Boolean(result) };
+}
+
+module.exports = {
+  isCommandAllowed,
+  resolveTarget,
+  listCommands,
+  dispatchCommand,
+};
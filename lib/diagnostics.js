@@ -0,0 +1,159 @@
+/**
+ * Linter diagnostics for pulsar-mcp
+ * Registers as a linter UI provider, so the linter package pushes every
+ * message it shows to the user here as well, and tracks running lints so
+ * tools can wait until linting settles after an edit.
+ */
+
+const { Emitter } = require("atom");
+const { serializeRange } = require("./editors");
+
+// Time without linter activity after which linting counts as settled
+const SETTLE_DELAY_MS = 1000;
+
+const emitter = new Emitter();
+
+// Current linter messages, replaced on every render
+let messages = [];
+
+// Running lints as "linter name\0file path" keys, path is empty for
+// project-wide linters
+const running = new Map();
+
+/**
+ * Get the key of a running lint
+ */
+function lintKey(linter, filePath) {
+  return `${linter.name}\0${filePath || ""}`;
+}
+
+/**
+ * Create the linter UI provider for the linter-ui service
+ * @returns {Object} Linter UI with render, didBeginLinting, didFinishLinting
+ */
+function provideLinterUI() {
+  return {
+    name: "pulsar-mcp",
+
+    render({ messages: current }) {
+      messages = current;
+      emitter.emit("did-change-state");
+    },
+
+    didBeginLinting(linter, filePath) {
+      const key = lintKey(linter, filePath);
+      running.set(key, (running.get(key) || 0) + 1);
+      emitter.emit("did-change-state");
+    },
+
+    didFinishLinting(linter, filePath) {
+      const key = lintKey(linter, filePath);
+      const count = (running.get(key) || 1) - 1;
+      if (count > 0) {
+        running.set(key, count);
+      } else {
+        running.delete(key);
+      }
+      emitter.emit("did-change-state");
+    },
+
+    dispose() {
+      messages = [];
+      running.clear();
+      emitter.emit("did-change-state");
+    },
+  };
+}
+
+/**
+ * Check whether any lint affecting a file is running
+ * @param {string|null} filePath - File path, null for any file
+ */
+function isLinting(filePath) {
+  if (running.size === 0) return false;
+  if (!filePath) return true;
+  for (const key of running.keys()) {
+    const path = key.slice(key.indexOf("\0") + 1);
+    if (!path || path === filePath) return true;
+  }
+  return false;
+}
+
+/**
+ * Wait until no lint affecting a file has been running for a while
+ * @param {string|null} filePath - File path, null for the whole project
+ * @param {number} timeout - Maximum wait in milliseconds
+ * @returns {Promise<boolean>} False if linting did not settle in time
+ */
+function waitForSettle(filePath, timeout) {
+  return new Promise((resolve) => {
+    let quietTimer = null;
+
+    const finish = (settled) => {
+      clearTimeout(quietTimer);
+      clearTimeout(timeoutTimer);
+      subscription.dispose();
+      resolve(settled);
+    };
+
+    // Every linter event restarts the quiet period
+    const restart = () => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => {
+        if (!isLinting(filePath)) finish(true);
+      }, SETTLE_DELAY_MS);
+    };
+
+    const timeoutTimer = setTimeout(() => finish(false), timeout);
+    const subscription = emitter.on("did-change-state", restart);
+    restart();
+  });
+}
+
+/**
+ * Convert a linter message into a diagnostic for tool results
+ */
+function serializeMessage(message) {
+  return {
+    severity: message.severity,
+    path: message.location.file,
+    range: serializeRange(message.location.position),
+    source: message.linterName || null,
+    excerpt: message.excerpt,
+    description:
+      typeof message.description === "string" ? message.description : null,
+    url: message.url || null,
+    fixes: (message.solutions || []).map((solution) => ({
+      title: solution.title || null,
+      range: solution.position ? serializeRange(solution.position) : null,
+      replaceWith:
+        typeof solution.replaceWith === "string" ? solution.replaceWith : null,
+    })),
+  };
+}
+
+/**
+ * Get current diagnostics, errors first, then by file and position
+ * @param {string|null} filePath - Only messages of this file, null for all
+ * @returns {Object[]}
+ */
+function getDiagnostics(filePath) {
+  const order = { error: 0, warning: 1, info: 2 };
+  return messages
+    .filter((message) => !filePath || message.location.file === filePath)
+    .map(serializeMessage)
+    .sort(
+      (a, b) =>
+        order[a.severity] - order[b.severity] ||
+        a.path.localeCompare(b.path) ||
+        a.range.start.row - b.range.start.row ||
+        a.range.start.column - b.range.start.column
+    );
+}
+
+module.exports = {
+  provideLinterUI,
+  isLinting,
+  waitForSettle,
+  getDiagnostics,
+};
@@ -0,0 +1,140 @@
+/**
+ * Editor lookup for Pulsar MCP
+ * Tools and resources address open editors by their ID, which is stable for
+ * the lifetime of the editor and also covers untitled buffers, or by path.
+ */
+
+const { normalize } = require("path");
+
+/**
+ * Find an open editor by its ID
+ * @returns {TextEditor|null}
+ */
+function findEditorById(id) {
+  return atom.workspace.getTextEditors().find((e) => e.id === id) || null;
+}
+
+/**
+ * Find an open editor by its file path
+ * @returns {TextEditor|null}
+ */
+function findEditorByPath(path) {
+  const target = normalize(path);
+  return (
+    atom.workspace
+      .getTextEditors()
+      .find((e) => e.getPath() && normalize(e.getPath()) === target) || null
+  );
+}
+
+/**
+ * Find the editor addressed by a tool call, the active editor if neither
+ * editorId nor path is given
+ * @param {Object} [target]
+ * @param {number} [target.editorId] - Editor ID from ListEditors
+ * @param {string} [target.path] - File path of an open editor
+ * @returns {TextEditor|null}
+ */
+function findEditor({ editorId, path } = {}) {
+  if (editorId !== undefined) return findEditorById(editorId);
+  if (path !== undefined) return findEditorByPath(path);
+  return atom.workspace.getActiveTextEditor() || null;
+}
+
+/**
+ * Like findEditor, but fails if an explicitly addressed editor is not open
+ * @param {Object} [target] - {editorId, path}
+ * @returns {TextEditor|null} Null only if no target given and no active editor
+ */
+function resolveEditor(target = {}) {
+  const editor = findEditor(target);
+  if (!editor && target.editorId !== undefined) {
+    throw new Error(
+      `No open editor with id ${target.editorId}, use ListEditors to get IDs`
+    );
+  }
+  if (!editor && target.path !== undefined) {
+    throw new Error(`No open editor for ${target.path}`);
+  }
+  return editor;
+}
+
+/**
+ * Run fn on the editor addressed by a tool call. A path that is not open yet
+ * is opened in a background tab for providers that only work on editors in
+ * the workspace, and closed again once fn is done, unless the user started
+ * to use it in the meantime.
+ * @param {Object} target - {editorId, path}
+ * @param {Function} fn - Called with the editor, null if there is none
+ * @returns {Promise<*>} Return value of fn
+ */
+async function withEditor(target, fn) {
+  let editor;
+  let opened = null;
+  if (target.editorId === undefined && target.path !== undefined) {
+    editor = findEditorByPath(target.path);
+    if (!editor) {
+      editor = opened = await atom.workspace.open(target.path, {
+        activatePane: false,
+        activateItem: false,
+        searchAllPanes: true,
+      });
+    }
+  } else {
+    editor = resolveEditor(target);
+  }
+  try {
+    return await fn(editor);
+  } finally {
+    if (
+      opened &&
+      !opened.isModified() &&
+      atom.workspace.getActivePaneItem() !== opened
+    ) {
+      opened.destroy();
+    }
+  }
+}
+
+/**
+ * Describe an editor for tool results
+ * @returns {Object} {id, path, title, modified, grammar, lineCount, paneIndex, active}
+ */
+function describeEditor(editor) {
+  const pane = atom.workspace.paneForItem(editor);
+  return {
+    id: editor.id,
+    path: editor.getPath() || null,
+    title: editor.getTitle(),
+    modified: editor.isModified(),
+    grammar: editor.getGrammar()?.name || "Plain Text",
+    lineCount: editor.getLineCount(),
+    paneIndex: pane ? atom.workspace.getPanes().indexOf(pane) : null,
+    active: editor === atom.workspace.getActiveTextEditor(),
+  };
+}
+
+/**
+ * Convert a Point into a plain {row, column} object
+ */
+function serializePoint(point) {
+  return { row: point.row, column: point.column };
+}
+
+/**
+ * Convert a Range into a plain {start, end} object
+ */
+function serializeRange(range) {
+  return { start: serializePoint(range.start), end: serializePoint(range.end) };
+}
+
+module.exports = {
+  findEditorById,
+  findEditorByPath,
+  findEditor,
+  resolveEditor,
+  withEditor,
+  describeEditor,
+  serializePoint,
+  serializeRange,
+};
@@ -0,0 +1,447 @@
+/**
+ * Agent edit tracking for pulsar-mcp
+ * Buffer changes made by a tool call are grouped into a single undo step and
+ * recorded per session, tool call and buffer. Every recorded change keeps a
+ * marker on the inserted text, so it can be reverted later even after the
+ * user has edited other parts of the buffer.
+ */
+
+const crypto = require("crypto");
+const { normalize } = require("path");
+const { createLogger } = require("./log");
+
+const log = createLogger("Edits");
+
+// Recorded changes, oldest first:
+// { seq, sessionId, client, callId, buffer, marker, oldText, newText, timestamp }
+let records = [];
+
+// Sequence number of the last recorded change, used as checkpoint
+let sequence = 0;
+
+// Marker layer per buffer for tracking agent changes
+const markerLayers = new WeakMap();
+
+/**
+ * Get the marker layer tracking agent changes in a buffer
+ */
+function getMarkerLayer(buffer) {
+  let layer = markerLayers.get(buffer);
+  if (!layer) {
+    layer = buffer.addMarkerLayer();
+    markerLayers.set(buffer, layer);
+    buffer.onDidDestroy(() => {
+      records = records.filter((record) => record.buffer !== buffer);
+      markerLayers.delete(buffer);
+    });
+  }
+  return layer;
+}
+
+/**
+ * Get the current checkpoint, pass it as `since` to only include later edits
+ * @returns {number}
+ */
+function getCheckpoint() {
+  return sequence;
+}
+
+/**
+ * Hash text, lets agents detect changes since they read it
+ * @param {string} text
+ * @returns {string} First 16 hex digits of the SHA-256 of the text
+ */
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+/**
+ * Hash the content of a buffer
+ * @param {TextBuffer} buffer
+ * @returns {string}
+ */
+function getBufferHash(buffer) {
+  return hashText(buffer.getText());
+}
+
+/**
+ * Apply changes to a buffer on behalf of a tool call.
+ * All changes made by fn become one undo step. If fn throws, the buffer is
+ * reverted to its previous state and nothing is recorded.
+ * @param {TextBuffer} buffer - Buffer to change
+ * @param {Object} context - Call context with sessionId, clientInfo and callId
+ * @param {Function} fn - Function making the changes
+ * @returns {*} Return value of fn
+ */
+function trackEdits(buffer, context, fn) {
+  const layer = getMarkerLayer(buffer);
+  const checkpoint = buffer.createCheckpoint();
+  const changes = [];
+
+  // Markers are created as changes happen, so later changes of the same
+  // call shift them like any other marker
+  const subscription = buffer.onDidChange(({ newRange, oldText }) => {
+    changes.push({
+      marker: layer.markRange(newRange, {
+        invalidate: "never",
+        exclusive: true,
+      }),
+      oldText,
+    });
+  });
+
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    subscription.dispose();
+    changes.forEach(({ marker }) => marker.destroy());
+    buffer.revertToCheckpoint(checkpoint);
+    throw error;
+  }
+  subscription.dispose();
+
+  buffer.groupChangesSinceCheckpoint(checkpoint);
+
+  // The inserted text is taken once all changes of the call are done, as
+  // later changes of the call may have edited it
+  for (const { marker, oldText } of changes) {
+    records.push({
+      seq: ++sequence,
+      sessionId: context.sessionId || null,
+      client: context.clientInfo?.name || null,
+      callId: context.callId ?? null,
+      buffer,
+      marker,
+      oldText,
+      newText: buffer.getTextInRange(marker.getRange()),
+      timestamp: Date.now(),
+    });
+  }
+
+  if (changes.length > 0) {
+    log.debug(
+      `Recorded ${changes.length} changes of call ${context.callId} in ${
+        buffer.getPath() || "untitled"
+      }`
+    );
+  }
+  return result;
+}
+
+/**
+ * Format a range as row:column-row:column for conflict reports
+ */
+function formatRange({ start, end }) {
+  return `${start.row}:${start.column}-${end.row}:${end.column}`;
+}
+
+/**
+ * Compare two points
+ * @returns {number} Negative if a is before b, 0 if equal, positive after
+ */
+function comparePoints(a, b) {
+  return a.row - b.row || a.column - b.column;
+}
+
+/**
+ * Find all occurrences of literal text in a buffer
+ * @returns {Object[]} Ranges of the occurrences
+ */
+function findOccurrences(buffer, search) {
+  const text = buffer.getText();
+  const ranges = [];
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    ranges.push({
+      start: buffer.positionForCharacterIndex(index),
+      end: buffer.positionForCharacterIndex(index + search.length),
+    });
+    index = text.indexOf(search, index + 1);
+  }
+  return ranges;
+}
+
+/**
+ * Resolve the target range of one edit, or describe why it conflicts
+ * @returns {{range: Object}|{conflict: string}}
+ */
+function resolveEdit(buffer, edit) {
+  if (edit.search !== undefined) {
+    if (edit.search === "") return { conflict: "search must not be empty" };
+    const occurrences = findOccurrences(buffer, edit.search);
+    if (occurrences.length === 0) {
+      return {
+        conflict: `search text not found: ${JSON.stringify(edit.search)}`,
+      };
+    }
+    if (edit.occurrence !== undefined) {
+      if (edit.occurrence > occurrences.length) {
+        return {
+          conflict: `search text found ${occurrences.length} times, occurrence ${edit.occurrence} does not exist`,
+        };
+      }
+      return { range: occurrences[edit.occurrence - 1] };
+    }
+    if (occurrences.length > 1) {
+      return {
+        conflict: `search text is ambiguous, found at ${occurrences
+          .map(formatRange)
+          .join(", ")}; add context or pass occurrence`,
+      };
+    }
+    return { range: occurrences[0] };
+  }
+
+  const start = edit.start;
+  const end = edit.end || edit.start;
+  for (const point of [start, end]) {
+    const clipped = buffer.clipPosition([point.row, point.column]);
+    if (clipped.row !== point.row || clipped.column !== point.column) {
+      return {
+        conflict: `position ${point.row}:${point.column} is outside the buffer`,
+      };
+    }
+  }
+  if (comparePoints(start, end) > 0) {
+    return { conflict: "end is before start" };
+  }
+
+  const range = { start, end };
+  const currentText = buffer.getTextInRange([
+    [start.row, start.column],
+    [end.row, end.column],
+  ]);
+  if (currentText !== edit.oldText) {
+    return {
+      conflict: `expected ${JSON.stringify(edit.oldText)} at ${formatRange(
+        range
+      )} but found ${JSON.stringify(currentText)}`,
+    };
+  }
+  return { range };
+}
+
+/**
+ * Resolve a batch of edits against the current buffer content without
+ * changing anything. Each edit either has start/end with the expected
+ * oldText, or a literal search anchor with an optional occurrence.
+ * @param {TextBuffer} buffer - Target buffer
+ * @param {Object[]} batch - Edits with newText
+ * @param {string} [hash] - Expected buffer hash
+ * @returns {{ranges: Object[], conflicts: string[]}}
+ */
+function planEdits(buffer, batch, hash) {
+  const conflicts = [];
+  if (hash !== undefined && hash !== getBufferHash(buffer)) {
+    conflicts.push(
+      `buffer hash is ${getBufferHash(buffer)}, expected ${hash}; the buffer changed since it was read`
+    );
+  }
+
+  const ranges = batch.map((edit, index) => {
+    const { range, conflict } = resolveEdit(buffer, edit);
+    if (conflict) conflicts.push(`edit ${index}: ${conflict}`);
+    return range || null;
+  });
+
+  // Edits must not overlap, insertions at the same point are ambiguous too
+  const sorted = ranges
+    .map((range, index) => ({ range, index }))
+    .filter(({ range }) => range)
+    .sort((a, b) => comparePoints(a.range.start, b.range.start));
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+    if (
+      comparePoints(current.range.start, previous.range.end) < 0 ||
+      comparePoints(current.range.start, previous.range.start) === 0
+    ) {
+      conflicts.push(
+        `edit ${current.index}: overlaps edit ${previous.index} at ${formatRange(
+          current.range
+        )}`
+      );
+    }
+  }
+
+  return { ranges, conflicts };
+}
+
+/**
+ * Get the text a recorded change currently covers
+ */
+function getRecordText(record) {
+  return record.buffer.getTextInRange(record.marker.getRange());
+}
+
+/**
+ * Check whether reverting a record would change nothing, e.g. after the
+ * user undid the change
+ */
+function isUndoneRecord(record) {
+  return getRecordText(record) === record.oldText;
+}
+
+/**
+ * Select recorded changes, skipping ones with nothing left to revert
+ * @param {Object} [filter]
+ * @param {string} [filter.sessionId] - Only changes of this session
+ * @param {number} [filter.callId] - Only changes of this tool call
+ * @param {number} [filter.since] - Only changes after this checkpoint
+ * @param {TextBuffer} [filter.buffer] - Only changes in this buffer
+ * @returns {Object[]}
+ */
+function findRecords({ sessionId, callId, since, buffer } = {}) {
+  return records.filter(
+    (record) =>
+      !isUndoneRecord(record) &&
+      (sessionId === undefined || record.sessionId === sessionId) &&
+      (callId === undefined || record.callId === callId) &&
+      (since === undefined || record.seq > since) &&
+      (buffer === undefined || record.buffer === buffer)
+  );
+}
+
+/**
+ * Make a file path comparable, Windows paths ignore case
+ */
+function comparablePath(filePath) {
+  const normalized = normalize(filePath);
+  return process.platform === "win32" ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * Find a buffer with recorded changes by its file path, relative paths are
+ * resolved against the project
+ * @param {string} filePath - Absolute or project relative path
+ * @returns {TextBuffer|null}
+ */
+function findTrackedBuffer(filePath) {
+  const target = comparablePath(atom.project.resolvePath(filePath) || filePath);
+  const record = records.find(
+    ({ buffer }) =>
+      buffer.getPath() && comparablePath(buffer.getPath()) === target
+  );
+  return record?.buffer || null;
+}
+
+/**
+ * Find an open editor showing a buffer
+ */
+function editorForBuffer(buffer) {
+  return (
+    atom.workspace.getTextEditors().find((e) => e.getBuffer() === buffer) ||
+    null
+  );
+}
+
+/**
+ * Summarize the buffers touched by recorded changes
+ * @param {Object} [filter] - Same as findRecords
+ * @returns {Object[]} [{path, editorId, edits, calls, sessions, lastEditAt}]
+ */
+function getTouchedBuffers(filter) {
+  const byBuffer = new Map();
+  for (const record of findRecords(filter)) {
+    if (!byBuffer.has(record.buffer)) {
+      byBuffer.set(record.buffer, []);
+    }
+    byBuffer.get(record.buffer).push(record);
+  }
+
+  return Array.from(byBuffer, ([buffer, bufferRecords]) => ({
+    path: buffer.getPath() || null,
+    editorId: editorForBuffer(buffer)?.id ?? null,
+    modified: buffer.isModified(),
+    edits: bufferRecords.length,
+    calls: [...new Set(bufferRecords.map((r) => r.callId))],
+    sessions: [...new Set(bufferRecords.map((r) => r.sessionId))],
+    lastEditAt: bufferRecords[bufferRecords.length - 1].timestamp,
+  }));
+}
+
+/**
+ * Summarize sessions that have recorded changes
+ * @returns {Object[]} [{sessionId, client, edits}]
+ */
+function getSessions() {
+  const sessions = new Map();
+  for (const record of findRecords()) {
+    const session = sessions.get(record.sessionId) || {
+      sessionId: record.sessionId,
+      client: record.client,
+      edits: 0,
+    };
+    session.edits++;
+    sessions.set(record.sessionId, session);
+  }
+  return Array.from(sessions.values());
+}
+
+/**
+ * Revert recorded changes, newest first, one undo step per buffer. Changes
+ * whose text was edited since are skipped and reported as conflicts.
+ * @param {Object} [filter] - Same as findRecords
+ * @returns {Object[]} [{path, editorId, reverted, conflicts}] per buffer,
+ *   conflicts as [{range, expected, actual}]
+ */
+function revertEdits(filter) {
+  const selected = findRecords(filter);
+  const byBuffer = new Map();
+  for (const record of selected) {
+    if (!byBuffer.has(record.buffer)) {
+      byBuffer.set(record.buffer, []);
+    }
+    byBuffer.get(record.buffer).push(record);
+  }
+
+  const results = [];
+  for (const [buffer, bufferRecords] of byBuffer) {
+    let reverted = 0;
+    const conflicts = [];
+    buffer.transact(() => {
+      for (const record of bufferRecords.reverse()) {
+        const range = record.marker.getRange();
+        const text = getRecordText(record);
+        if (text === record.newText) {
+          buffer.setTextInRange(range, record.oldText);
+          reverted++;
+        } else {
+          conflicts.push({
+            range: formatRange(range),
+            expected: record.newText,
+            actual: text,
+          });
+        }
+        record.marker.destroy();
+      }
+    });
+    results.push({
+      path: buffer.getPath() || null,
+      editorId: editorForBuffer(buffer)?.id ?? null,
+      reverted,
+      conflicts,
+    });
+  }
+
+  // Conflicting changes are dropped as well, they cannot be reverted cleanly
+  const done = new Set(selected);
+  records = records.filter((record) => !done.has(record));
+  log.debug(`Reverted changes`, { results });
+
+  return results;
+}
+
+module.exports = {
+  hashText,
+  getBufferHash,
+  getCheckpoint,
+  trackEdits,
+  planEdits,
+  findRecords,
+  findTrackedBuffer,
+  getTouchedBuffers,
+  getSessions,
+  revertEdits,
+};
@@ -0,0 +1,211 @@
+/**
+ * Git information for pulsar-mcp
+ * Reads status and diffs from the repositories Pulsar already opened for
+ * the project. Diffs compare HEAD with the live buffer text, so they include
+ * unsaved changes.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isPathInside } = require("./registry");
+const { findEditor, resolveEditor } = require("./editors");
+
+// git-utils status bits
+const INDEX_STATUS = [
+  [1 << 0, "added"],
+  [1 << 1, "modified"],
+  [1 << 2, "deleted"],
+  [1 << 3, "renamed"],
+  [1 << 4, "typechange"],
+];
+const WORKING_TREE_STATUS = [
+  [1 << 7, "untracked"],
+  [1 << 8, "modified"],
+  [1 << 9, "deleted"],
+  [1 << 10, "typechange"],
+];
+const STATUS_IGNORED = 1 << 14;
+
+/**
+ * Get the open repositories of the project
+ * @returns {GitRepository[]}
+ */
+function getRepositories() {
+  return atom.project.getRepositories().filter(Boolean);
+}
+
+/**
+ * Find the repository containing a file
+ * @returns {GitRepository|null}
+ */
+function repositoryForPath(filePath) {
+  return (
+    getRepositories().find((repo) => {
+      const root = repo.getWorkingDirectory();
+      return root && isPathInside(filePath, root);
+    }) || null
+  );
+}
+
+/**
+ * Describe git-utils status bits
+ * @returns {{index: string|null, workingTree: string|null}}
+ */
+function describeStatus(status) {
+  const find = (flags) =>
+    flags.find(([bit]) => (status & bit) !== 0)?.[1] || null;
+  return { index: find(INDEX_STATUS), workingTree: find(WORKING_TREE_STATUS) };
+}
+
+/**
+ * Get branch, upstream state and changed files of a repository
+ * @param {GitRepository} repo
+ * @returns {Object} {workingDirectory, branch, upstream, ahead, behind, changes}
+ */
+function getRepositoryStatus(repo) {
+  const root = repo.getWorkingDirectory();
+  const statuses = repo.getRepo().getStatus() || {};
+  const { ahead, behind } = repo.getCachedUpstreamAheadBehindCount();
+
+  const changes = Object.entries(statuses)
+    .filter(([, status]) => (status & STATUS_IGNORED) === 0)
+    .map(([relativePath, status]) => ({
+      path: path.join(root, relativePath),
+      ...describeStatus(status),
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    workingDirectory: root,
+    branch: repo.getShortHead() || null,
+    upstream: repo.getUpstreamBranch() || null,
+    ahead,
+    behind,
+    changes,
+  };
+}
+
+/**
+ * Split text into lines without line endings
+ */
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Convert a git hunk start (1-based, line before for empty sides) into a
+ * 0-indexed row
+ */
+function startRow(start, count) {
+  return count > 0 ? start - 1 : start;
+}
+
+/**
+ * Diff the text of a file against HEAD
+ * @param {GitRepository} repo - Repository of the file
+ * @param {string} filePath - Absolute file path
+ * @param {string} text - Current text, e.g. of an unsaved buffer
+ * @returns {Object} {status, hunks: [{oldStart, oldLines, newStart, newLines, removed, added}]}
+ */
+function diffText(repo, filePath, text) {
+  const relativePath = repo.relativize(filePath);
+  const headText = repo.getRepo().getHeadBlob(relativePath);
+  const newLines = splitLines(text);
+
+  // Files unknown to HEAD are added as a whole
+  if (headText === null || headText === undefined) {
+    return {
+      status: "untracked",
+      hunks: newLines.length
+        ? [
+            {
+              oldStart: 0,
+              oldLines: 0,
+              newStart: 0,
+              newLines: newLines.length,
+              removed: [],
+              added: newLines,
+            },
+          ]
+        : [],
+    };
+  }
+
+  const oldLines = splitLines(headText);
+  const hunks = (repo.getLineDiffs(filePath, text) || []).map((hunk) => {
+    const oldStart = startRow(hunk.oldStart, hunk.oldLines);
+    const newStart = startRow(hunk.newStart, hunk.newLines);
+    return {
+      oldStart,
+      oldLines: hunk.oldLines,
+      newStart,
+      newLines: hunk.newLines,
+      removed: oldLines.slice(oldStart, oldStart + hunk.oldLines),
+      added: newLines.slice(newStart, newStart + hunk.newLines),
+    };
+  });
+
+  return { status: hunks.length ? "modified" : "unmodified", hunks };
+}
+
+/**
+ * Get the gutter status of changed lines, as the git-diff package shows it
+ * @returns {Object[]} [{status: added|modified|removed, startRow, endRow}]
+ */
+function lineStatus(hunks) {
+  return hunks.map((hunk) => {
+    if (hunk.oldLines === 0) {
+      return {
+        status: "added",
+        startRow: hunk.newStart,
+        endRow: hunk.newStart + hunk.newLines - 1,
+      };
+    }
+    if (hunk.newLines === 0) {
+      return {
+        status: "removed",
+        startRow: hunk.newStart,
+        endRow: hunk.newStart,
+      };
+    }
+    return {
+      status: "modified",
+      startRow: hunk.newStart,
+      endRow: hunk.newStart + hunk.newLines - 1,
+    };
+  });
+}
+
+/**
+ * Diff a file against HEAD, using the live text of its editor if open
+ * @param {Object} target - {editorId, path}, active editor if both omitted
+ * @returns {Object} {path, unsaved, status, hunks}
+ */
+function diffFile({ editorId, path: filePath }) {
+  const editor =
+    editorId === undefined && filePath !== undefined
+      ? findEditor({ path: filePath })
+      : resolveEditor({ editorId });
+  if (editor) filePath = editor.getPath();
+  if (!filePath) throw new Error("No file to diff, the editor is untitled");
+
+  const repo = repositoryForPath(filePath);
+  if (!repo) throw new Error(`${filePath} is not in a git repository`);
+
+  const text = editor ? editor.getText() : fs.readFileSync(filePath, "utf8");
+  return {
+    path: filePath,
+    unsaved: editor ? editor.isModified() : false,
+    ...diffText(repo, filePath, text),
+  };
+}
+
+module.exports = {
+  getRepositories,
+  repositoryForPath,
+  getRepositoryStatus,
+  diffFile,
+  lineStatus,
+};
@@ -0,0 +1,194 @@
+/**
+ * Code intelligence for pulsar-mcp
+ * Collects the atom-ide providers installed IDE packages register for
+ * definitions, references, outlines and datatips, and queries the best
+ * provider for an editor.
+ */
+
+const { Disposable, Point } = require("atom");
+const { fileURLToPath } = require("url");
+const { serializePoint, serializeRange } = require("./editors");
+
+// Registered providers by kind
+const providers = {
+  definitions: [],
+  references: [],
+  outline: [],
+  datatip: [],
+};
+
+/**
+ * Register a provider
+ * @param {"definitions"|"references"|"outline"|"datatip"} kind
+ * @param {Object} provider - atom-ide provider
+ * @returns {Disposable} Unregisters the provider
+ */
+function addProvider(kind, provider) {
+  providers[kind].push(provider);
+  return new Disposable(() => {
+    const index = providers[kind].indexOf(provider);
+    if (index !== -1) providers[kind].splice(index, 1);
+  });
+}
+
+/**
+ * Check whether a provider supports an editor
+ */
+function supportsEditor(kind, provider, editor) {
+  const scopeName = editor.getGrammar()?.scopeName;
+  if (kind === "references") return provider.isEditorSupported(editor);
+  if (kind === "datatip" && provider.validForScope) {
+    return provider.validForScope(scopeName);
+  }
+  return !provider.grammarScopes || provider.grammarScopes.includes(scopeName);
+}
+
+/**
+ * Get the providers supporting an editor, highest priority first
+ * @throws {Error} If no installed provider supports the editor
+ */
+async function getProviders(kind, editor, label) {
+  const supported = [];
+  for (const provider of providers[kind]) {
+    if (await supportsEditor(kind, provider, editor)) supported.push(provider);
+  }
+  if (supported.length === 0) {
+    const grammar = editor.getGrammar()?.name || "Plain Text";
+    throw new Error(
+      `No ${label} provider for ${grammar}, install an IDE package for it`
+    );
+  }
+  return supported.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Convert a reference URI into a file path
+ */
+function uriToPath(uri) {
+  return uri.startsWith("file:") ? fileURLToPath(uri) : uri;
+}
+
+/**
+ * Find definitions of the symbol at a position
+ * @returns {Promise<Object>} {queryRange, definitions: [{path, range, name, language}]}
+ */
+async function getDefinitions(editor, position) {
+  const candidates = await getProviders("definitions", editor, "definition");
+  for (const provider of candidates) {
+    const result = await provider.getDefinition(
+      editor,
+      Point.fromObject(position)
+    );
+    if (!result || result.definitions.length === 0) continue;
+    return {
+      queryRange: result.queryRange?.[0]
+        ? serializeRange(result.queryRange[0])
+        : null,
+      definitions: result.definitions.map((definition) => ({
+        path: definition.path,
+        range: definition.range
+          ? serializeRange(definition.range)
+          : {
+              start: serializePoint(definition.position),
+              end: serializePoint(definition.position),
+            },
+        name: definition.name || null,
+        language: definition.language || null,
+      })),
+    };
+  }
+  return { queryRange: null, definitions: [] };
+}
+
+/**
+ * Find references to the symbol at a position
+ * @returns {Promise<Object>} {symbol, references: [{path, range, name}]}
+ */
+async function findReferences(editor, position) {
+  const candidates = await getProviders("references", editor, "references");
+  for (const provider of candidates) {
+    const result = await provider.findReferences(
+      editor,
+      Point.fromObject(position)
+    );
+    if (!result) continue;
+    if (result.type === "error") throw new Error(result.message);
+    return {
+      symbol: result.referencedSymbolName || null,
+      references: result.references.map((reference) => ({
+        path: uriToPath(reference.uri),
+        range: serializeRange(reference.range),
+        name: reference.name || null,
+      })),
+    };
+  }
+  return { symbol: null, references: [] };
+}
+
+/**
+ * Get the display text of an outline node
+ */
+function outlineName(tree) {
+  if (tree.plainText) return tree.plainText;
+  if (tree.tokenizedText) {
+    return tree.tokenizedText.map((t) => t.value).join("");
+  }
+  return tree.representativeName || "";
+}
+
+/**
+ * Convert an outline tree into plain nodes
+ */
+function serializeOutline(tree) {
+  const start = serializePoint(tree.startPosition);
+  return {
+    name: outlineName(tree),
+    kind: tree.kind || tree.icon || null,
+    range: {
+      start,
+      end: tree.endPosition ? serializePoint(tree.endPosition) : start,
+    },
+    children: (tree.children || []).map(serializeOutline),
+  };
+}
+
+/**
+ * Get the symbol outline of an editor
+ * @returns {Promise<Object[]>} Tree of {name, kind, range, children}
+ */
+async function getOutline(editor) {
+  for (const provider of await getProviders("outline", editor, "outline")) {
+    const outline = await provider.getOutline(editor);
+    if (outline) return outline.outlineTrees.map(serializeOutline);
+  }
+  return [];
+}
+
+/**
+ * Get hover information for a position
+ * @returns {Promise<Object|null>} {range, contents: [{type, value, grammar}]}
+ */
+async function getHover(editor, position) {
+  for (const provider of await getProviders("datatip", editor, "hover")) {
+    const datatip = await provider.datatip(editor, Point.fromObject(position));
+    // Datatips rendered by a custom component carry no text to return
+    if (!datatip?.markedStrings) continue;
+    return {
+      range: serializeRange(datatip.range),
+      contents: datatip.markedStrings.map((marked) => ({
+        type: marked.type,
+        value: marked.value,
+        grammar: marked.grammar?.scopeName || null,
+      })),
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  addProvider,
+  getDefinitions,
+  findReferences,
+  getOutline,
+  getHover,
+};
@@ -0,0 +1,153 @@
+/**
+ * Workspace layout for pulsar-mcp
+ * Describes the center and the docks with their panes and items, and finds
+ * panes and items by the IDs reported there.
+ */
+
+const { normalize } = require("path");
+
+const DOCK_LOCATIONS = ["left", "right", "bottom"];
+
+// IDs of pane items, text editors keep their own editor ID separately
+const itemIds = new WeakMap();
+let nextItemId = 1;
+
+/**
+ * Get the stable ID of a pane item
+ */
+function getItemId(item) {
+  if (!itemIds.has(item)) itemIds.set(item, nextItemId++);
+  return itemIds.get(item);
+}
+
+/**
+ * Get the pane containers by location
+ * @returns {Object} {center, left, right, bottom}
+ */
+function getContainers() {
+  return {
+    center: atom.workspace.getCenter(),
+    left: atom.workspace.getLeftDock(),
+    right: atom.workspace.getRightDock(),
+    bottom: atom.workspace.getBottomDock(),
+  };
+}
+
+/**
+ * Get a dock by location
+ * @throws {Error} If the location is not a dock
+ */
+function getDock(location) {
+  if (!DOCK_LOCATIONS.includes(location)) {
+    throw new Error(`Unknown dock ${location}, use left, right or bottom`);
+  }
+  return getContainers()[location];
+}
+
+/**
+ * Describe a pane item
+ */
+function describeItem(item, pane) {
+  const description = {
+    itemId: getItemId(item),
+    title: item.getTitle?.() || null,
+    path: item.getPath?.() || null,
+    uri: item.getURI?.() || null,
+    active: pane.getActiveItem() === item,
+  };
+  if (atom.workspace.isTextEditor(item)) {
+    description.editorId = item.id;
+    description.modified = item.isModified();
+  }
+  return description;
+}
+
+/**
+ * Describe the whole workspace layout
+ * @returns {Object} {activePaneId, containers: [{location, visible, panes}]}
+ */
+function getLayout() {
+  const activePane = atom.workspace.getActivePane();
+  const containers = Object.entries(getContainers()).map(
+    ([location, container]) => ({
+      location,
+      visible: location === "center" ? true : container.isVisible(),
+      panes: container.getPanes().map((pane) => ({
+        paneId: pane.id,
+        active: pane === activePane,
+        items: pane.getItems().map((item) => describeItem(item, pane)),
+      })),
+    })
+  );
+  return { activePaneId: activePane?.id ?? null, containers };
+}
+
+/**
+ * Find a pane by ID, the active pane of the center if no ID given
+ * @throws {Error} If no pane has the ID
+ */
+function findPane(paneId) {
+  if (paneId === undefined) return atom.workspace.getCenter().getActivePane();
+  const pane = atom.workspace.getPanes().find((p) => p.id === paneId);
+  if (!pane) throw new Error(`No pane with id ${paneId}, use GetLayout`);
+  return pane;
+}
+
+/**
+ * Find a pane item by item ID, editor ID or path
+ * @param {Object} target - {itemId, editorId, path}
+ * @throws {Error} If no item matches
+ */
+function findItem({ itemId, editorId, path }) {
+  const items = atom.workspace.getPaneItems();
+  let item;
+  if (itemId !== undefined) {
+    item = items.find((i) => itemIds.get(i) === itemId);
+  } else if (editorId !== undefined) {
+    item = items.find(
+      (i) => atom.workspace.isTextEditor(i) && i.id === editorId
+    );
+  } else if (path !== undefined) {
+    const target = normalize(path);
+    item = items.find(
+      (i) => i.getPath?.() && normalize(i.getPath()) === target
+    );
+  } else {
+    throw new Error("itemId, editorId or path is required");
+  }
+  if (!item) throw new Error("No such item is open, use GetLayout or OpenFile");
+  return item;
+}
+
+/**
+ * Show an item: activate it in its pane, the pane itself and its dock
+ */
+function activateItem(item) {
+  const pane = atom.workspace.paneForItem(item);
+  pane.activateItem(item);
+  pane.activate();
+  const container = atom.workspace.paneContainerForItem(item);
+  if (container?.show) container.show();
+  return { itemId: getItemId(item), paneId: pane.id };
+}
+
+/**
+ * Check whether the item with a URI is open and shown
+ */
+function isUriVisible(uri) {
+  const item = atom.workspace.getPaneItems().find((i) => i.getURI?.() === uri);
+  if (!item) return false;
+  const container = atom.workspace.paneContainerForItem(item);
+  const shown = container?.isVisible ? container.isVisible() : true;
+  return shown && atom.workspace.paneForItem(item).getActiveItem() === item;
+}
+
+module.exports = {
+  getItemId,
+  getDock,
+  getLayout,
+  findPane,
+  findItem,
+  activateItem,
+  isUriVisible,
+};
@@ -1,16 +1,40 @@
 const { CompositeDisposable, Disposable } = require("atom");
-const { startBridge, stopBridge, setExternalTools } = require("./bridge");
+const {
+  startBridge,
+  stopBridge,
+  setExternalTools,
+  setExternalPrompts,
+  canRequestCompletion,
+  requestCompletion,
+} = require("./bridge");
 const { createLogger } = require("./log");
+const { checkInputSchema } = require("./schema");
+const activity = require("./activity");
+const edits = require("./edits");
+const diagnostics = require("./diagnostics");
+const ide = require("./ide");
+const annotations = require("./annotations");
+const proposals = require("./proposals");
+const {
+  ActivityView,
+  ACTIVITY_URI,
+  exportActivity,
+} = require("./activity-view");
 
 const log = createLogger("Main");
 
 // External MCP tools registered by other packages
 const externalTools = new Map();
 
+// External MCP prompts registered by other packages
+const externalPrompts = new Map();
+
 module.exports = {
   subscriptions: null,
   bridge: null,
   bridgePort: null,
+  bridgeToken: null,
+  windowSubscriptions: null,
 
   activate() {
     log.debug("Activating pulsar-mcp package");
@@ -22,6 +46,20 @@ module.exports = {
         "pulsar-mcp:start": () => this.start(),
         "pulsar-mcp:stop": () => this.stop(),
         "pulsar-mcp:status": () => this.showStatus(),
+        "pulsar-mcp:show-activity": () => atom.workspace.open(ACTIVITY_URI),
+        "pulsar-mcp:export-activity": () => exportActivity(),
+        "pulsar-mcp:clear-activity": () => activity.clear(),
+        "pulsar-mcp:revert-agent-edits": () => this.revertAgentEdits(),
+        "pulsar-mcp:clear-annotations": () => annotations.clearHighlights(),
+        "pulsar-mcp:accept-all": () => proposals.decideAll(true),
+        "pulsar-mcp:reject-all": () => proposals.decideAll(false),
+      })
+    );
+
+    // Activity dock
+    this.subscriptions.add(
+      atom.workspace.addOpener((uri) => {
+        if (uri === ACTIVITY_URI) return new ActivityView();
       })
     );
 
@@ -35,6 +73,9 @@ module.exports = {
     log.debug("Deactivating pulsar-mcp package");
     this.subscriptions?.dispose();
     this.stopBridge();
+    // Leave no decorations with live buttons behind in open editors
+    annotations.clearAll();
+    proposals.decideAll(false);
   },
 
   serialize() {
@@ -80,6 +121,61 @@ module.exports = {
     }
   },
 
+  revertAgentEdits() {
+    const sessions = edits.getSessions();
+    if (sessions.length === 0) {
+      atom.notifications.addInfo("No agent edits to revert");
+      return;
+    }
+
+    const revert = (sessionId) => {
+      const filter = sessionId === undefined ? {} : { sessionId };
+      const buffers = edits.revertEdits(filter);
+      const count = buffers.reduce((sum, b) => sum + b.reverted, 0);
+      const conflicts = buffers.reduce((sum, b) => sum + b.conflicts.length, 0);
+      const notify = conflicts > 0 ? "addWarning" : "addSuccess";
+      const skipped =
+        conflicts > 0 ? `, skipped ${conflicts} you changed since` : "";
+      atom.notifications[notify](
+        `Reverted ${count} agent edit${count === 1 ? "" : "s"}${skipped}`,
+        {
+          detail: buffers
+            .map((b) => (b.path ? atom.project.relativize(b.path) : "untitled"))
+            .join("\n"),
+        }
+      );
+    };
+
+    if (sessions.length === 1) {
+      revert(sessions[0].sessionId);
+      return;
+    }
+
+    // Several sessions edited, let the user pick which one to revert
+    const notification = atom.notifications.addInfo(
+      "Revert edits of which MCP session?",
+      {
+        dismissable: true,
+        buttons: [
+          ...sessions.map(({ sessionId, client, edits: count }) => ({
+            text: `${client || sessionId || "REST"} (${count})`,
+            onDidClick: () => {
+              notification.dismiss();
+              revert(sessionId);
+            },
+          })),
+          {
+            text: "All sessions",
+            onDidClick: () => {
+              notification.dismiss();
+              revert();
+            },
+          },
+        ],
+      }
+    );
+  },
+
   // Bridge management
   async startBridge() {
     if (this.bridge) {
@@ -91,8 +187,18 @@ module.exports = {
       const basePort = atom.config.get("pulsar-mcp.bridgePort") || 3000;
       log.debug("Starting MCP bridge", { basePort });
 
-      this.bridge = await startBridge({ port: basePort });
+      this.bridge = await startBridge({
+        port: basePort,
+        configDir: atom.getConfigDirPath(),
+        window: {
+          projectPaths: atom.project.getPaths(),
+          title: document.title,
+          focusedAt: document.hasFocus() ? Date.now() : 0,
+        },
+      });
       this.bridgePort = this.bridge.port;
+      this.bridgeToken = this.bridge.token;
+      this.observeWindow();
 
       log.debug(`MCP bridge started on port ${this.bridgePort}`);
     } catch (error) {
@@ -104,7 +210,36 @@ module.exports = {
     }
   },
 
+  /**
+   * Keep the published bridge record in sync with this window, so the
+   * standalone server can match it by project and focus
+   */
+  observeWindow() {
+    this.windowSubscriptions = new CompositeDisposable();
+
+    this.windowSubscriptions.add(
+      atom.project.onDidChangePaths((projectPaths) => {
+        this.bridge?.updateRecord({ projectPaths });
+      })
+    );
+
+    // The workspace updates document.title after the active item changes
+    this.windowSubscriptions.add(
+      atom.workspace.onDidChangeActivePaneItem(() => {
+        setTimeout(() => this.bridge?.updateRecord({ title: document.title }));
+      })
+    );
+
+    const onFocus = () => this.bridge?.updateRecord({ focusedAt: Date.now() });
+    window.addEventListener("focus", onFocus);
+    this.windowSubscriptions.add(
+      new Disposable(() => window.removeEventListener("focus", onFocus))
+    );
+  },
+
   async stopBridge() {
+    this.windowSubscriptions?.dispose();
+    this.windowSubscriptions = null;
     if (this.bridge) {
       log.debug("Stopping MCP bridge");
       try {
@@ -115,6 +250,7 @@ module.exports = {
       }
       this.bridge = null;
       this.bridgePort = null;
+      this.bridgeToken = null;
     }
   },
 
@@ -130,6 +266,13 @@ module.exports = {
        */
       getBridgePort: () => this.bridgePort,
 
+      /**
+       * Get the bearer token required by the bridge. Pass it to a spawned
+       * server.js as PULSAR_BRIDGE_TOKEN, or send it as Authorization header.
+       * @returns {string|null} The token or null if bridge not running
+       */
+      getBridgeToken: () => this.bridgeToken,
+
       /**
        * Check if the bridge is running
        * @returns {boolean}
@@ -141,6 +284,61 @@ module.exports = {
        * @returns {string} Absolute path to server.js
        */
       getServerPath: () => require.resolve("./server"),
+
+      /**
+       * Check if a connected MCP client accepts completion requests
+       * @returns {boolean}
+       */
+      canRequestCompletion,
+
+      /**
+       * Ask the model of the connected MCP client, which may ask its user to
+       * approve the request first
+       * @param {Array<Object>} messages - [{role: user|assistant, content}]
+       * @param {Object} [options] - {systemPrompt, maxTokens, temperature,
+       *   stopSequences, modelPreferences, metadata, sessionId}
+       * @returns {Promise<Object>} {role, content, model, stopReason}
+       */
+      requestCompletion,
+    };
+  },
+
+  /**
+   * Provide linter-ui service, so GetDiagnostics sees the linter messages
+   */
+  provideLinterUI() {
+    return diagnostics.provideLinterUI();
+  },
+
+  /**
+   * Consume atom-ide definition providers for GoToDefinition
+   */
+  consumeDefinitionsProvider(provider) {
+    return ide.addProvider("definitions", provider);
+  },
+
+  /**
+   * Consume atom-ide find-references providers for FindReferences
+   */
+  consumeFindReferencesProvider(provider) {
+    return ide.addProvider("references", provider);
+  },
+
+  /**
+   * Consume atom-ide outline providers for GetOutline
+   */
+  consumeOutlineProvider(provider) {
+    return ide.addProvider("outline", provider);
+  },
+
+  /**
+   * Provide the datatip registry, IDE packages add their hover providers to
+   * it as they do for atom-ide-datatip
+   */
+  provideDatatipService() {
+    return {
+      addProvider: (provider) => ide.addProvider("datatip", provider),
+      addModifierProvider: () => new Disposable(),
     };
   },
 
@@ -165,6 +363,13 @@ module.exports = {
         });
         continue;
       }
+      if (tool.inputSchema !== undefined) {
+        const problems = checkInputSchema(tool.inputSchema);
+        if (problems.length > 0) {
+          log.error(`Invalid input schema for tool ${tool.name}`, { problems });
+          continue;
+        }
+      }
       externalTools.set(tool.name, tool);
       registeredNames.push(tool.name);
       log.debug(`Registered external MCP tool: ${tool.name}`);
@@ -186,4 +391,49 @@ module.exports = {
       );
     });
   },
+
+  /**
+   * Consume mcp-prompts service from external packages
+   * External packages provide prompt templates via providedServices in package.json
+   *
+   * @param {Array} prompts - Array of prompt definitions
+   * @returns {Disposable} - Disposable to unregister prompts when package deactivates
+   */
+  consumeMcpPrompts(prompts) {
+    if (!Array.isArray(prompts)) {
+      log.error(
+        "Invalid MCP prompts provider: must return an array of prompts"
+      );
+      return new Disposable();
+    }
+
+    const registeredNames = [];
+    for (const prompt of prompts) {
+      if (!prompt.name || typeof prompt.get !== "function") {
+        log.error("Invalid prompt definition: must have name and get", {
+          prompt,
+        });
+        continue;
+      }
+      externalPrompts.set(prompt.name, prompt);
+      registeredNames.push(prompt.name);
+      log.debug(`Registered external MCP prompt: ${prompt.name}`);
+    }
+
+    // Update bridge with new prompts
+    setExternalPrompts(externalPrompts);
+
+    log.debug(`Registered ${registeredNames.length} external MCP prompts`);
+
+    // Return disposable for cleanup
+    return new Disposable(() => {
+      for (const name of registeredNames) {
+        externalPrompts.delete(name);
+      }
+      setExternalPrompts(externalPrompts);
+      log.debug(
+        `Unregistered external MCP prompts: ${registeredNames.join(", ")}`
+      );
+    });
+  },
 };
@@ -0,0 +1,195 @@
+/**
+ * Tool approval policy for pulsar-mcp
+ * Decides for every tool call whether it is allowed, needs the user's
+ * approval, or is denied, based on per-tool settings and tool annotations.
+ */
+
+const { createLogger } = require("./log");
+
+const log = createLogger("Policy");
+
+const MAX_DETAIL_LENGTH = 2000;
+
+// Tool names approved for the rest of a session, by session ID
+const sessionApprovals = new Map();
+
+/**
+ * Get the annotation category of a tool. As in the MCP spec, a tool that is
+ * not read-only is considered destructive unless it says otherwise.
+ * @param {Object} [annotations] - Tool annotations
+ * @returns {"readOnly"|"mutating"|"destructive"}
+ */
+function getCategory(annotations = {}) {
+  if (annotations.readOnlyHint === true) return "readOnly";
+  if (annotations.destructiveHint === false) return "mutating";
+  return "destructive";
+}
+
+/**
+ * Get the annotations of a tool call. Tools whose effect depends on the
+ * arguments, such as a replace that may only preview, define
+ * callAnnotations(args); the tool annotations apply if it fails.
+ * @param {Object} tool - Tool definition
+ * @param {Object} [args] - Tool arguments
+ * @returns {Object|undefined}
+ */
+function getCallAnnotations(tool, args) {
+  if (args !== undefined && typeof tool.callAnnotations === "function") {
+    try {
+      return tool.callAnnotations(args) || tool.annotations;
+    } catch (error) {
+      log.debug(`Annotations of ${tool.name} call failed`, error);
+    }
+  }
+  return tool.annotations;
+}
+
+/**
+ * Get the configured policy for a tool or one of its calls
+ * @param {Object} tool - Tool definition with name and annotations
+ * @param {Object} [args] - Arguments of the call
+ * @returns {"allow"|"ask"|"deny"}
+ */
+function getPolicy(tool, args) {
+  const config = atom.config.get("pulsar-mcp.approval");
+
+  if (config.alwaysDeny.includes(tool.name)) return "deny";
+  if (config.alwaysAsk.includes(tool.name)) return "ask";
+  if (config.alwaysAllow.includes(tool.name)) return "allow";
+
+  return config[getCategory(getCallAnnotations(tool, args))];
+}
+
+/**
+ * Truncate long text for display in a notification
+ */
+function truncate(text) {
+  if (text.length <= MAX_DETAIL_LENGTH) return text;
+  return `${text.slice(0, MAX_DETAIL_LENGTH)}\n… (${
+    text.length - MAX_DETAIL_LENGTH
+  } more characters)`;
+}
+
+/**
+ * Build the notification detail for an approval request
+ */
+function describeCall(tool, args, context) {
+  const lines = [];
+  if (context.clientInfo?.name) {
+    lines.push(`Client: ${context.clientInfo.name}`);
+  }
+  lines.push(`Arguments:\n${JSON.stringify(args, null, 2)}`);
+
+  if (typeof tool.preview === "function") {
+    try {
+      const preview = tool.preview(args);
+      if (preview) lines.push(`Preview:\n${preview}`);
+    } catch (error) {
+      log.debug(`Preview of ${tool.name} failed`, error);
+    }
+  }
+
+  return truncate(lines.join("\n\n"));
+}
+
+/**
+ * Ask the user to approve a tool call
+ * @returns {Promise<"allow"|"session"|"reject">}
+ */
+function askUser(tool, args, context) {
+  const { signal } = context;
+  return new Promise((resolve) => {
+    let decided = false;
+    let notification = null;
+
+    const decide = (decision) => {
+      if (decided) return;
+      decided = true;
+      signal?.removeEventListener("abort", onAbort);
+      resolve(decision);
+      notification?.dismiss();
+    };
+    const onAbort = () => decide("reject");
+
+    const buttons = [{ text: "Allow", onDidClick: () => decide("allow") }];
+    if (context.sessionId) {
+      buttons.push({
+        text: "Allow for this session",
+        onDidClick: () => decide("session"),
+      });
+    }
+    buttons.push({ text: "Reject", onDidClick: () => decide("reject") });
+
+    notification = atom.notifications.addWarning(
+      `MCP agent wants to run ${tool.name}`,
+      {
+        detail: describeCall(tool, args, context),
+        dismissable: true,
+        buttons,
+      }
+    );
+
+    // Closing the notification counts as rejection
+    notification.onDidDismiss(() => decide("reject"));
+
+    // So does the call going away, e.g. cancelled by the client
+    if (signal?.aborted) decide("reject");
+    else signal?.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Check whether a tool call may run, asking the user when needed
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Validated tool arguments
+ * @param {Object} context - Call context with sessionId and clientInfo
+ * @returns {Promise<{allowed: boolean, reason?: string}>}
+ */
+async function checkApproval(tool, args, context = {}) {
+  const policy = getPolicy(tool, args);
+
+  if (policy === "allow") return { allowed: true };
+
+  if (policy === "deny") {
+    log.debug(`Tool ${tool.name} denied by policy`);
+    return { allowed: false, reason: `Tool ${tool.name} is denied by policy` };
+  }
+
+  if (sessionApprovals.get(context.sessionId)?.has(tool.name)) {
+    return { allowed: true };
+  }
+
+  const decision = await askUser(tool, args, context);
+  log.debug(`Tool ${tool.name} approval: ${decision}`);
+
+  if (decision === "session") {
+    if (!sessionApprovals.has(context.sessionId)) {
+      sessionApprovals.set(context.sessionId, new Set());
+    }
+    sessionApprovals.get(context.sessionId).add(tool.name);
+  }
+
+  if (decision === "reject" && context.signal?.aborted) {
+    return {
+      allowed: false,
+      reason: context.signal.reason?.message || "Tool call was cancelled",
+    };
+  }
+
+  if (decision === "reject") {
+    return {
+      allowed: false,
+      reason: `Tool ${tool.name} was rejected by the user`,
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Forget session approvals of a terminated session
+ */
+function dropSession(sessionId) {
+  sessionApprovals.delete(sessionId);
+}
+
+module.exports = { getCategory, getPolicy, checkApproval, dropSession };
@@ -0,0 +1,217 @@
+/**
+ * Prompt definitions for Pulsar MCP server
+ * Each prompt contains: name, title, description, arguments, get
+ * Prompts are filled in from the live editor state when requested.
+ */
+
+const { getToolByName } = require("./tools");
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Get active editor metadata and selections using the builtin tools
+ * @returns {{editor: Object, selections: Object[]}}
+ */
+function getEditorContext() {
+  const editor = getToolByName("GetActiveEditor").execute();
+  if (!editor) throw new Error("No active editor");
+  const selections = getToolByName("GetSelections").execute();
+  return { editor, selections };
+}
+
+/**
+ * Get the text of all non-empty selections, null if nothing is selected
+ */
+function getSelectedText(selections) {
+  const selected = selections.filter((s) => !s.isEmpty);
+  if (selected.length === 0) return null;
+  return selected.map((s) => s.text).join("\n\n");
+}
+
+/**
+ * Describe the location of the first non-empty selection (1-indexed rows)
+ */
+function describeSelection(editor, selections) {
+  const selection = selections.find((s) => !s.isEmpty);
+  const file = editor.path || "an untitled buffer";
+  if (!selection) return file;
+  const { start, end } = selection.range;
+  return `${file}, lines ${start.row + 1}-${end.row + 1}`;
+}
+
+/**
+ * Wrap code in a markdown fence labelled with the grammar name
+ */
+function codeBlock(text, grammar) {
+  const fence = text.includes("```") ? "````" : "```";
+  const language = grammar.toLowerCase().replace(/\s+/g, "");
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Create a single user text message
+ */
+function userMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+// ============================================================================
+// Prompt Definitions
+// ============================================================================
+
+const prompts = {
+  "explain-selection": {
+    name: "explain-selection",
+    title: "Explain selection",
+    description: "Explain the code selected in the active editor",
+    arguments: [],
+    get() {
+      const { editor, selections } = getEditorContext();
+      const text = getSelectedText(selections);
+      if (!text) throw new Error("No text selected in the active editor");
+
+      return {
+        description: `Explain selection in ${describeSelection(editor, selections)}`,
+        messages: [
+          userMessage(
+            `Explain what the following ${editor.grammar} code from ${describeSelection(
+              editor,
+              selections
+            )} does, step by step:\n\n${codeBlock(text, editor.grammar)}`
+          ),
+        ],
+      };
+    },
+  },
+
+  "review-current-file": {
+    name: "review-current-file",
+    title: "Review current file",
+    description:
+      "Review the file in the active editor, including unsaved changes",
+    arguments: [
+      {
+        name: "focus",
+        description:
+          "Optional review focus, e.g. correctness, performance or security",
+        required: false,
+      },
+    ],
+    get({ focus } = {}) {
+      const { editor } = getEditorContext();
+      const { content } = getToolByName("ReadText").execute();
+      const file = editor.path || "an untitled buffer";
+      const focusText = focus ? ` Focus on ${focus}.` : "";
+      const unsaved = editor.modified ? " It has unsaved changes." : "";
+
+      return {
+        description: `Review ${file}`,
+        messages: [
+          userMessage(
+            `Review the ${editor.grammar} file ${file}.${unsaved}${focusText} ` +
+              "Point out bugs, risky constructs and readability issues, " +
+              "referring to line numbers.\n\n" +
+              codeBlock(content, editor.grammar)
+          ),
+        ],
+      };
+    },
+  },
+
+  "write-tests": {
+    name: "write-tests",
+    title: "Write tests",
+    description:
+      "Write unit tests for the selected function, or the whole file if nothing is selected",
+    arguments: [
+      {
+        name: "framework",
+        description: "Optional test framework to use, e.g. jest or pytest",
+        required: false,
+      },
+    ],
+    get({ framework } = {}) {
+      const { editor, selections } = getEditorContext();
+      const text =
+        getSelectedText(selections) ??
+        getToolByName("ReadText").execute().content;
+      const frameworkText = framework
+        ? ` using ${framework}`
+        : " using the test framework already used by the project";
+
+      return {
+        description: `Write tests for ${describeSelection(editor, selections)}`,
+        messages: [
+          userMessage(
+            `Write unit tests${frameworkText} for the following ${editor.grammar} code from ${describeSelection(
+              editor,
+              selections
+            )}. Cover normal cases, edge cases and error handling.\n\n` +
+              codeBlock(text, editor.grammar)
+          ),
+        ],
+      };
+    },
+  },
+};
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+/**
+ * Get prompt metadata for MCP protocol (name, title, description, arguments)
+ */
+function getPromptsList() {
+  return Object.values(prompts).map(
+    ({ name, title, description, arguments: args }) => ({
+      name,
+      title,
+      description,
+      arguments: args,
+    })
+  );
+}
+
+/**
+ * Normalize the value returned by a prompt's get() into an MCP result.
+ * Accepts a plain string, an array of messages or {description, messages}.
+ */
+function normalizePromptResult(value) {
+  if (typeof value === "string") {
+    return { messages: [userMessage(value)] };
+  }
+  if (Array.isArray(value)) {
+    return { messages: value };
+  }
+  if (value && Array.isArray(value.messages)) {
+    return value;
+  }
+  throw new Error("Prompt must return a string, messages or {messages}");
+}
+
+/**
+ * Get the names of required arguments missing from args
+ */
+function getMissingArguments(prompt, args) {
+  return (prompt.arguments || [])
+    .filter((arg) => arg.required && (args[arg.name] ?? "") === "")
+    .map((arg) => arg.name);
+}
+
+/**
+ * Get prompt definition by name
+ */
+function getPromptByName(name) {
+  return prompts[name] || null;
+}
+
+module.exports = {
+  prompts,
+  getPromptsList,
+  getPromptByName,
+  getMissingArguments,
+  normalizePromptResult,
+};
@@ -0,0 +1,309 @@
+/**
+ * Proposed edits for pulsar-mcp
+ * A proposal shows a change as an inline diff, removed text struck through
+ * and inserted text in a block below, until the user accepts or rejects it.
+ * Accepted proposals are applied as a tracked agent edit of the proposing
+ * call, so they can be reverted like direct edits.
+ */
+
+const edits = require("./edits");
+const { createLogger } = require("./log");
+
+const log = createLogger("Proposals");
+
+// How long tools wait for a decision before returning a pending proposal
+const DEFAULT_WAIT_MS = 300000;
+
+// Decided proposals kept for GetProposal, oldest are dropped first
+const MAX_PROPOSALS = 100;
+
+const proposals = new Map();
+let nextId = 1;
+
+// Marker layer of each editor for proposal ranges
+const markerLayers = new WeakMap();
+
+/**
+ * Create an element with classes and optional text
+ */
+function createElement(tag, classNames = [], text) {
+  const element = document.createElement(tag);
+  element.classList.add(...classNames);
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Get the proposal marker layer of an editor
+ */
+function getMarkerLayer(editor) {
+  if (!markerLayers.has(editor)) {
+    markerLayers.set(editor, editor.addMarkerLayer());
+  }
+  return markerLayers.get(editor);
+}
+
+/**
+ * Describe a proposal for tool results
+ * @returns {Object} {id, status, reason, editorId, path, changes, hash}
+ */
+function describeProposal(proposal) {
+  const description = {
+    id: proposal.id,
+    status: proposal.status,
+    reason: proposal.reason,
+    editorId: proposal.editor.id,
+    path: proposal.editor.getPath() || null,
+    changes: proposal.changes.length,
+  };
+  if (proposal.status === "accepted") {
+    description.hash = edits.getBufferHash(proposal.editor.getBuffer());
+  }
+  return description;
+}
+
+/**
+ * Build the block with the header and buttons of a proposal
+ */
+function createToolbar(proposal) {
+  const toolbar = createElement("div", ["pulsar-mcp-proposal-toolbar"]);
+  const count = proposal.changes.length;
+  const accept = createElement(
+    "button",
+    ["btn", "btn-xs", "btn-success"],
+    "Accept"
+  );
+  accept.addEventListener("click", () => acceptProposal(proposal));
+  const reject = createElement(
+    "button",
+    ["btn", "btn-xs", "btn-error"],
+    "Reject"
+  );
+  reject.addEventListener("click", () => rejectProposal(proposal));
+  toolbar.append(
+    createElement(
+      "span",
+      ["title"],
+      `${proposal.client || "MCP client"} proposes ${count} ${
+        count === 1 ? "change" : "changes"
+      }`
+    ),
+    accept,
+    reject
+  );
+  return toolbar;
+}
+
+/**
+ * Decorate the changes of a proposal as an inline diff
+ */
+function decorate(proposal) {
+  const { editor } = proposal;
+  proposal.changes.forEach((change, index) => {
+    if (change.oldText) {
+      editor.decorateMarker(change.marker, {
+        type: "text",
+        class: "pulsar-mcp-proposal-removed",
+      });
+    }
+    if (index > 0 && !change.newText) return;
+
+    const item = createElement("div", ["pulsar-mcp-proposal"]);
+    if (index === 0) item.append(createToolbar(proposal));
+    if (change.newText) {
+      item.append(
+        createElement("pre", ["pulsar-mcp-proposal-inserted"], change.newText)
+      );
+    }
+    editor.decorateMarker(change.marker, {
+      type: "block",
+      position: "after",
+      item,
+    });
+  });
+}
+
+/**
+ * Show changes to an editor as a proposal
+ * @param {TextEditor} editor - Target editor
+ * @param {Object[]} changes - Non-overlapping [{range: {start, end}, newText}]
+ * @param {Object} context - Call context with sessionId, clientInfo, callId
+ *   and signal
+ * @returns {Object} The pending proposal
+ */
+function createProposal(editor, changes, context) {
+  const buffer = editor.getBuffer();
+  const layer = getMarkerLayer(editor);
+
+  const proposal = {
+    id: nextId++,
+    status: "pending",
+    reason: null,
+    editor,
+    context: {
+      sessionId: context.sessionId,
+      clientInfo: context.clientInfo,
+      callId: context.callId,
+    },
+    client: context.clientInfo?.name || null,
+    changes: changes.map(({ range, newText }) => {
+      const bufferRange = [
+        [range.start.row, range.start.column],
+        [range.end.row, range.end.column],
+      ];
+      return {
+        marker: layer.markBufferRange(bufferRange, { invalidate: "inside" }),
+        oldText: buffer.getTextInRange(bufferRange),
+        newText,
+      };
+    }),
+  };
+  proposal.decided = new Promise((resolve) => {
+    proposal.resolve = resolve;
+  });
+  proposal.subscription = editor.onDidDestroy(() =>
+    finish(proposal, "rejected", "the editor was closed")
+  );
+
+  // The agent never learns the ID of a proposal whose call was aborted
+  proposal.signal = context.signal || null;
+  proposal.onAbort = () => rejectProposal(proposal, "the call was cancelled");
+  proposal.signal?.addEventListener("abort", proposal.onAbort);
+
+  decorate(proposal);
+  proposals.set(proposal.id, proposal);
+  for (const [id, old] of proposals) {
+    if (proposals.size <= MAX_PROPOSALS) break;
+    if (old.status !== "pending") proposals.delete(id);
+  }
+  log.debug(`Proposal ${proposal.id} with ${changes.length} changes`);
+  return proposal;
+}
+
+/**
+ * Settle a proposal and remove its decorations
+ */
+function finish(proposal, status, reason = null) {
+  proposal.status = status;
+  proposal.reason = reason;
+  proposal.subscription.dispose();
+  proposal.signal?.removeEventListener("abort", proposal.onAbort);
+  proposal.changes.forEach(({ marker }) => marker.destroy());
+  proposal.resolve(describeProposal(proposal));
+  log.debug(`Proposal ${proposal.id} ${status}`, { reason });
+}
+
+/**
+ * Apply a pending proposal, unless its text changed in the meantime
+ * @returns {boolean} Whether the proposal was applied
+ */
+function acceptProposal(proposal) {
+  if (proposal.status !== "pending") return false;
+  const buffer = proposal.editor.getBuffer();
+
+  const changed = proposal.changes.some(
+    ({ marker, oldText }) =>
+      !marker.isValid() ||
+      buffer.getTextInRange(marker.getBufferRange()) !== oldText
+  );
+  if (changed) {
+    finish(proposal, "conflict", "the text changed since the proposal");
+    return false;
+  }
+
+  // Apply from the end of the buffer, so earlier ranges stay valid
+  const ranges = proposal.changes
+    .map((change) => ({ change, range: change.marker.getBufferRange() }))
+    .sort((a, b) => b.range.start.compare(a.range.start));
+  edits.trackEdits(buffer, proposal.context, () => {
+    for (const { change, range } of ranges) {
+      buffer.setTextInRange(range, change.newText);
+    }
+  });
+  finish(proposal, "accepted");
+  return true;
+}
+
+/**
+ * Discard a pending proposal
+ */
+function rejectProposal(proposal, reason = null) {
+  if (proposal.status !== "pending") return;
+  finish(proposal, "rejected", reason);
+}
+
+/**
+ * Get a proposal by ID
+ * @returns {Object|null}
+ */
+function getProposal(id) {
+  return proposals.get(id) || null;
+}
+
+/**
+ * Wait until a proposal is decided, the timeout passes or the signal aborts
+ * @param {Object} proposal - Proposal to wait for
+ * @param {number|null} [timeout] - Max ms to wait, null to only follow signal
+ * @param {AbortSignal} [signal] - Signal of the waiting call
+ * @returns {Promise<Object>} Description of the proposal, maybe still pending
+ */
+async function waitForDecision(proposal, timeout = DEFAULT_WAIT_MS, signal) {
+  let timer;
+  let onAbort;
+  const stopped = new Promise((resolve) => {
+    const stop = () => resolve(describeProposal(proposal));
+    if (timeout !== null) timer = setTimeout(stop, timeout);
+    onAbort = stop;
+    if (signal?.aborted) stop();
+    else signal?.addEventListener("abort", onAbort);
+  });
+  const result = await Promise.race([proposal.decided, stopped]);
+  clearTimeout(timer);
+  signal?.removeEventListener("abort", onAbort);
+  return result;
+}
+
+/**
+ * Wait for the decision on a proposal made instead of a direct edit. The
+ * wait lasts as long as the call may take, and a proposal still pending
+ * when the call ends is rejected, so no edit lands after the agent moved on.
+ * @param {Object} proposal - Proposal of the call
+ * @param {Object} context - Call context with signal
+ * @returns {Promise<Object>} Description of the decided proposal
+ */
+async function waitForSuggestion(proposal, context) {
+  const { signal } = context;
+  const decision = await waitForDecision(
+    proposal,
+    signal ? null : DEFAULT_WAIT_MS,
+    signal
+  );
+  if (decision.status !== "pending") return decision;
+  rejectProposal(proposal, "the call ended");
+  return describeProposal(proposal);
+}
+
+/**
+ * Accept or reject every pending proposal
+ * @param {boolean} accept - Accept instead of reject
+ * @returns {number} Number of proposals decided
+ */
+function decideAll(accept) {
+  const pending = [...proposals.values()].filter((p) => p.status === "pending");
+  for (const proposal of pending) {
+    if (accept) acceptProposal(proposal);
+    else rejectProposal(proposal);
+  }
+  return pending.length;
+}
+
+module.exports = {
+  createProposal,
+  getProposal,
+  describeProposal,
+  waitForDecision,
+  waitForSuggestion,
+  acceptProposal,
+  rejectProposal,
+  decideAll,
+};
@@ -0,0 +1,195 @@
+/**
+ * Bridge registry for pulsar-mcp
+ * Every running bridge publishes a record to a file in the Pulsar config
+ * directory, so the standalone server can find the right window and
+ * authenticate against it without manual setup.
+ *
+ * Record: { port, host, pid, token, projectPaths, title, startedAt, focusedAt }
+ *
+ * Shared by the bridge (inside Pulsar) and server.js (standalone process),
+ * so this module must not depend on the atom global.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Get the default Pulsar config directory
+ * @returns {string} Value of ATOM_HOME or ~/.pulsar
+ */
+function getDefaultConfigDir() {
+  return process.env.ATOM_HOME || path.join(os.homedir(), ".pulsar");
+}
+
+/**
+ * Get the directory holding bridge records
+ * @param {string} [configDir] - Pulsar config directory
+ * @returns {string}
+ */
+function getRegistryDir(configDir = getDefaultConfigDir()) {
+  return path.join(configDir, "pulsar-mcp", "bridges");
+}
+
+/**
+ * Get the record file path for a bridge port
+ */
+function getRecordPath(port, configDir) {
+  return path.join(getRegistryDir(configDir), `${port}.json`);
+}
+
+/**
+ * Publish a bridge record. The file is only readable by the current user,
+ * because it contains the bridge secret.
+ * @param {Object} record - Record with at least port and token
+ * @param {string} [configDir] - Pulsar config directory
+ */
+function writeRecord(record, configDir) {
+  const dir = getRegistryDir(configDir);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = getRecordPath(record.port, configDir);
+  fs.writeFileSync(file, JSON.stringify(record, null, 2), { mode: 0o600 });
+  // Mode is only applied on creation, tighten a reused file as well
+  fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Remove a bridge record
+ * @param {number} port - Bridge port
+ * @param {string} [configDir] - Pulsar config directory
+ */
+function removeRecord(port, configDir) {
+  try {
+    fs.unlinkSync(getRecordPath(port, configDir));
+  } catch {
+    // Already removed
+  }
+}
+
+/**
+ * Read a bridge record
+ * @param {number} port - Bridge port
+ * @param {string} [configDir] - Pulsar config directory
+ * @returns {Object|null} The record or null if missing or unreadable
+ */
+function readRecord(port, configDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getRecordPath(port, configDir), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check if the process that published a record is still alive
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Read all records of running bridges. Records left behind by crashed
+ * windows are skipped.
+ * @param {string} [configDir] - Pulsar config directory
+ * @returns {Object[]} Records, most recently focused first
+ */
+function listRecords(configDir) {
+  let files;
+  try {
+    files = fs.readdirSync(getRegistryDir(configDir));
+  } catch {
+    return [];
+  }
+
+  const records = [];
+  for (const file of files) {
+    const match = /^(\d+)\.json$/.exec(file);
+    if (!match) continue;
+    const record = readRecord(parseInt(match[1], 10), configDir);
+    if (!record || !isProcessAlive(record.pid)) continue;
+    records.push(record);
+  }
+
+  return records.sort((a, b) => (b.focusedAt || 0) - (a.focusedAt || 0));
+}
+
+/**
+ * Check if a path is equal to or inside a directory
+ * @param {string} child - Path to test
+ * @param {string} parent - Directory path
+ * @returns {boolean}
+ */
+function isPathInside(child, parent) {
+  if (process.platform === "win32") {
+    child = child.toLowerCase();
+    parent = parent.toLowerCase();
+  }
+  const relative = path.relative(parent, child);
+  // Folders such as ..cache are children, only .. itself leads outside
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Pick the bridge record that best matches a working directory.
+ *
+ * With a project override, a window matches if the override lies inside one
+ * of its roots or equals a root's folder name. Otherwise the window whose
+ * deepest project root contains cwd wins. Without any match the most
+ * recently focused window is used.
+ *
+ * @param {Object[]} records - Records from listRecords
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory of the agent
+ * @param {string} [options.project] - Project path or name override
+ * @returns {{record: Object, reason: string}|null}
+ */
+function selectRecord(records, { cwd, project }) {
+  if (records.length === 0) return null;
+
+  if (project) {
+    const target = path.resolve(cwd, project);
+    const record = records.find((r) =>
+      (r.projectPaths || []).some(
+        (root) => isPathInside(target, root) || path.basename(root) === project
+      )
+    );
+    if (record) return { record, reason: "project override" };
+  }
+
+  let best = null;
+  let bestDepth = -1;
+  for (const record of records) {
+    for (const root of record.projectPaths || []) {
+      if (isPathInside(cwd, root) && root.length > bestDepth) {
+        best = record;
+        bestDepth = root.length;
+      }
+    }
+  }
+  if (best) return { record: best, reason: "working directory" };
+
+  return { record: records[0], reason: "most recently focused" };
+}
+
+module.exports = {
+  getDefaultConfigDir,
+  getRegistryDir,
+  getRecordPath,
+  writeRecord,
+  removeRecord,
+  readRecord,
+  listRecords,
+  isPathInside,
+  selectRecord,
+};
@@ -0,0 +1,284 @@
+/**
+ * Project-wide replace for pulsar-mcp
+ * A replace runs in two phases: a preview lists every match with an ID and
+ * its replacement, then the selected IDs are applied. Open buffers are
+ * edited as tracked, undoable agent edits; files that are not open are
+ * rewritten on disk. Files that changed since the preview are skipped.
+ */
+
+const fs = require("fs");
+const search = require("./search");
+const edits = require("./edits");
+const { lineOffsets, expandReplacement } = require("./replacement");
+const { createLogger } = require("./log");
+
+const log = createLogger("Replace");
+
+// Previews kept for applying, oldest are dropped first
+const MAX_PLANS = 10;
+
+const plans = new Map();
+let nextPlanId = 1;
+
+/**
+ * Find the buffer of an open file
+ * @returns {TextBuffer|null}
+ */
+function findBuffer(path) {
+  return atom.project.getBuffers().find((b) => b.getPath() === path) || null;
+}
+
+/**
+ * Read the current text of a file, from its buffer if open
+ * @returns {Promise<string>}
+ */
+async function readCurrentText(path) {
+  const buffer = findBuffer(path);
+  if (buffer) return buffer.getText();
+  return fs.promises.readFile(path, "utf8");
+}
+
+/**
+ * Write a file through a temporary file, so an interrupted write never
+ * leaves it half written
+ */
+async function writeFileSafely(path, text) {
+  const { mode } = await fs.promises.stat(path);
+  const temp = `${path}.${process.pid}.pulsar-mcp.tmp`;
+  try {
+    await fs.promises.writeFile(temp, text, { mode });
+    await fs.promises.rename(temp, path);
+  } catch (error) {
+    await fs.promises.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Search the project and prepare a replace
+ * @param {Object} options - ProjectSearch options plus replacement
+ * @param {Object} [context] - Call context with signal and progress
+ * @returns {Promise<Object>} Plan with id, matches and stoppedBy
+ */
+async function previewReplace(options, context) {
+  const result = await search.searchProject(options, context);
+
+  const matches = result.matches.map((match, index) => ({
+    id: index + 1,
+    path: match.path,
+    range: match.range,
+    lineText: match.lineText,
+    matchText: match.matchText,
+    replacementText: options.replacement,
+  }));
+
+  // Remember the content of every file to detect later changes, and expand
+  // regex replacements against it
+  const files = new Map();
+  for (const match of matches) {
+    if (!files.has(match.path)) {
+      files.set(match.path, {
+        path: match.path,
+        hash: null,
+        applied: false,
+        matches: [],
+      });
+    }
+    files.get(match.path).matches.push(match);
+  }
+  for (const file of files.values()) {
+    let text;
+    try {
+      text = await readCurrentText(file.path);
+    } catch (error) {
+      log.debug(`Cannot read ${file.path}`, error);
+      continue;
+    }
+    file.hash = edits.hashText(text);
+    if (!options.regex) continue;
+
+    const offsets = lineOffsets(text);
+    for (const match of file.matches) {
+      const { start } = match.range;
+      match.replacementText = expandReplacement(
+        result.pattern,
+        options.replacement,
+        text,
+        offsets[start.row] + start.column,
+        match.matchText
+      );
+      // The file changed between the search and reading it
+      if (match.replacementText === null) file.hash = null;
+    }
+  }
+
+  const plan = {
+    id: nextPlanId++,
+    pattern: result.pattern,
+    replacement: options.replacement,
+    regex: Boolean(options.regex),
+    matches,
+    files,
+    stoppedBy: result.stoppedBy,
+  };
+  plans.set(plan.id, plan);
+  if (plans.size > MAX_PLANS) {
+    plans.delete(plans.keys().next().value);
+  }
+  return plan;
+}
+
+/**
+ * Get a previous preview
+ * @returns {Object|null}
+ */
+function getPlan(id) {
+  return plans.get(id) || null;
+}
+
+/**
+ * Replace matches in an open buffer as one tracked edit
+ */
+function replaceInBuffer(buffer, matches, context) {
+  edits.trackEdits(buffer, context, () => {
+    for (const match of [...matches].reverse()) {
+      const { start, end } = match.range;
+      buffer.setTextInRange(
+        [
+          [start.row, start.column],
+          [end.row, end.column],
+        ],
+        match.replacementText
+      );
+    }
+  });
+}
+
+/**
+ * Replace all matches of a closed file with atom.workspace.replace
+ */
+async function replaceWithWorkspace(plan, path) {
+  // Literal replacements must not expand $ patterns
+  const replacement = plan.regex
+    ? plan.replacement
+    : plan.replacement.replace(/\$/g, "$$$$");
+  let failure = null;
+  await atom.workspace.replace(
+    plan.pattern,
+    replacement,
+    [path],
+    (_, error) => {
+      if (error) failure = error;
+    }
+  );
+  if (failure) throw new Error(failure.message || String(failure));
+}
+
+/**
+ * Replace some matches of a closed file by rewriting it
+ */
+async function replaceInFile(path, text, matches) {
+  const offsets = lineOffsets(text);
+  let result = text;
+  for (const match of [...matches].reverse()) {
+    const { start, end } = match.range;
+    const startOffset = offsets[start.row] + start.column;
+    const endOffset = offsets[end.row] + end.column;
+    if (result.slice(startOffset, endOffset) !== match.matchText) {
+      throw new Error(`match ${match.id} is no longer at its position`);
+    }
+    result =
+      result.slice(0, startOffset) +
+      match.replacementText +
+      result.slice(endOffset);
+  }
+  await writeFileSafely(path, result);
+}
+
+/**
+ * Apply selected matches of a preview
+ * @param {Object} plan - Plan from previewReplace
+ * @param {number[]} [matchIds] - Matches to apply, all if omitted
+ * @param {Object} context - Call context for edit tracking
+ * @returns {Promise<Object[]>} Per file {path, status, replaced, method, reason}
+ */
+async function applyReplace(plan, matchIds, context) {
+  if (matchIds) {
+    const unknown = matchIds.filter(
+      (id) => !Number.isInteger(id) || id < 1 || id > plan.matches.length
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown match IDs: ${unknown.join(", ")}`);
+    }
+  }
+  const selected = matchIds ? new Set(matchIds) : null;
+
+  const results = [];
+  for (const file of plan.files.values()) {
+    const matches = file.matches.filter((m) => !selected || selected.has(m.id));
+    if (matches.length === 0) continue;
+
+    const skip = (reason) =>
+      results.push({ path: file.path, status: "skipped", replaced: 0, reason });
+
+    if (file.applied) {
+      skip("already replaced by an earlier apply of this preview");
+      continue;
+    }
+
+    let text;
+    try {
+      text = await readCurrentText(file.path);
+    } catch (error) {
+      skip(`cannot read file: ${error.message}`);
+      continue;
+    }
+    if (file.hash === null || edits.hashText(text) !== file.hash) {
+      skip("changed since the preview");
+      continue;
+    }
+
+    const buffer = findBuffer(file.path);
+    let method;
+    try {
+      if (buffer) {
+        replaceInBuffer(buffer, matches, context);
+        method = "buffer";
+      } else if (
+        matches.length === file.matches.length &&
+        plan.stoppedBy === null
+      ) {
+        await replaceWithWorkspace(plan, file.path);
+        method = "replace";
+      } else {
+        await replaceInFile(file.path, text, matches);
+        method = "write";
+      }
+    } catch (error) {
+      log.error(`Replace in ${file.path} failed`, error);
+      results.push({
+        path: file.path,
+        status: "failed",
+        replaced: 0,
+        reason: error.message,
+      });
+      continue;
+    }
+
+    // Ranges of this file are stale now, later applies must skip it
+    file.applied = true;
+    results.push({
+      path: file.path,
+      status: "applied",
+      replaced: matches.length,
+      method,
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  previewReplace,
+  getPlan,
+  applyReplace,
+};
@@ -0,0 +1,53 @@
+/**
+ * Replacement text helpers for pulsar-mcp
+ * Locate matches by offset and expand regex replacements the way replacing
+ * in the whole file does.
+ *
+ * Kept free of the atom global, so it can be tested outside Pulsar.
+ */
+
+/**
+ * Get the offsets at which the lines of a text start
+ */
+function lineOffsets(text) {
+  const offsets = [0];
+  let index = text.indexOf("\n");
+  while (index !== -1) {
+    offsets.push(index + 1);
+    index = text.indexOf("\n", index + 1);
+  }
+  return offsets;
+}
+
+/**
+ * Expand a regex replacement for the match at an offset of a text, the way
+ * replacing in the whole text does, so anchors, \b and lookaround see the
+ * same surroundings as when the replace is applied
+ * @param {RegExp} pattern - Search pattern
+ * @param {string} replacement - Replacement with $1, $& etc.
+ * @param {string} text - Whole text of the file
+ * @param {number} offset - Offset of the match in the text
+ * @param {string} matchText - Text of the match
+ * @returns {string|null} Replacement text, null if nothing matches there
+ */
+function expandReplacement(pattern, replacement, text, offset, matchText) {
+  const sticky = new RegExp(
+    pattern.source,
+    `${pattern.flags.replace("g", "").replace("y", "")}y`
+  );
+  sticky.lastIndex = offset;
+  const match = sticky.exec(text);
+  if (!match || match[0] !== matchText) return null;
+
+  sticky.lastIndex = offset;
+  const replaced = sticky[Symbol.replace](text, replacement);
+  return replaced.slice(
+    offset,
+    offset + matchText.length + replaced.length - text.length
+  );
+}
+
+module.exports = {
+  lineOffsets,
+  expandReplacement,
+};
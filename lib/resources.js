@@ -0,0 +1,225 @@
+/**
+ * MCP resources for Pulsar MCP
+ * Every open text editor is exposed as a resource, addressed either by
+ * pulsar://editor/<id> or by the file:// URI of its path.
+ */
+
+const { CompositeDisposable } = require("atom");
+const { pathToFileURL, fileURLToPath } = require("url");
+const { findEditorById, findEditorByPath } = require("./editors");
+
+const EDITOR_URI_PREFIX = "pulsar://editor/";
+
+// Mime types by grammar scope name, anything else is served as text/plain
+const MIME_TYPES = {
+  "source.c": "text/x-c",
+  "source.cpp": "text/x-c++",
+  "source.cs": "text/x-csharp",
+  "source.css": "text/css",
+  "source.gfm": "text/markdown",
+  "source.go": "text/x-go",
+  "source.java": "text/x-java",
+  "source.js": "text/javascript",
+  "source.json": "application/json",
+  "source.less": "text/x-less",
+  "source.python": "text/x-python",
+  "source.ruby": "text/x-ruby",
+  "source.rust": "text/x-rust",
+  "source.sass": "text/x-sass",
+  "source.css.scss": "text/x-scss",
+  "source.shell": "text/x-shellscript",
+  "source.sql": "application/sql",
+  "source.toml": "application/toml",
+  "source.ts": "text/typescript",
+  "source.tsx": "text/typescript",
+  "source.yaml": "application/yaml",
+  "text.html.basic": "text/html",
+  "text.md": "text/markdown",
+  "text.plain": "text/plain",
+  "text.xml": "application/xml",
+};
+
+// Subscribed URIs by session ID
+const subscriptions = new Map();
+
+// Sends a notification to one session, or to all sessions when null
+let notify = () => {};
+
+/**
+ * Get the pulsar:// URI of an editor
+ */
+function editorUri(editor) {
+  return `${EDITOR_URI_PREFIX}${editor.id}`;
+}
+
+/**
+ * Get the file:// URI of an editor, null for untitled buffers
+ */
+function fileUri(editor) {
+  const path = editor.getPath();
+  return path ? pathToFileURL(path).href : null;
+}
+
+/**
+ * Get the mime type of an editor from its grammar
+ */
+function mimeTypeFor(editor) {
+  return MIME_TYPES[editor.getGrammar()?.scopeName] || "text/plain";
+}
+
+/**
+ * Find the open editor addressed by a resource URI
+ * @param {string} uri - pulsar://editor/<id> or file:// URI
+ * @returns {TextEditor|null}
+ */
+function findEditorByUri(uri) {
+  if (uri.startsWith(EDITOR_URI_PREFIX)) {
+    return findEditorById(Number(uri.slice(EDITOR_URI_PREFIX.length)));
+  }
+
+  if (uri.startsWith("file:")) {
+    let path;
+    try {
+      path = fileURLToPath(uri);
+    } catch {
+      return null;
+    }
+    return findEditorByPath(path);
+  }
+
+  return null;
+}
+
+/**
+ * Start watching editors for subscription and list notifications
+ * @param {Function} notifyFn - (sessionId|null, method, params) => void
+ * @returns {CompositeDisposable}
+ */
+function activate(notifyFn) {
+  notify = notifyFn;
+  const disposables = new CompositeDisposable();
+
+  disposables.add(
+    atom.workspace.observeTextEditors((editor) => {
+      const editorDisposables = new CompositeDisposable();
+
+      editorDisposables.add(
+        editor.onDidStopChanging(() => notifyUpdated(editor)),
+        editor.onDidChangePath(() =>
+          notify(null, "notifications/resources/list_changed")
+        ),
+        editor.onDidDestroy(() => {
+          editorDisposables.dispose();
+          disposables.remove(editorDisposables);
+          notify(null, "notifications/resources/list_changed");
+        })
+      );
+      disposables.add(editorDisposables);
+    }),
+    atom.workspace.onDidAddTextEditor(() => {
+      notify(null, "notifications/resources/list_changed");
+    })
+  );
+
+  return disposables;
+}
+
+/**
+ * Notify every session subscribed to an editor under either of its URIs
+ */
+function notifyUpdated(editor) {
+  const uris = [editorUri(editor), fileUri(editor)].filter(Boolean);
+  for (const [sessionId, subscribed] of subscriptions) {
+    for (const uri of uris) {
+      if (subscribed.has(uri)) {
+        notify(sessionId, "notifications/resources/updated", { uri });
+      }
+    }
+  }
+}
+
+/**
+ * List open editors as MCP resources
+ */
+function listResources() {
+  return atom.workspace.getTextEditors().map((editor) => {
+    const path = editor.getPath();
+    return {
+      uri: editorUri(editor),
+      name: editor.getTitle(),
+      title: editor.getLongTitle(),
+      description: path
+        ? `Open buffer of ${path} (also readable as ${fileUri(editor)})`
+        : "Untitled buffer",
+      mimeType: mimeTypeFor(editor),
+    };
+  });
+}
+
+/**
+ * List resource templates for editor and file URIs
+ */
+function listResourceTemplates() {
+  return [
+    {
+      uriTemplate: `${EDITOR_URI_PREFIX}{id}`,
+      name: "Open editor",
+      description:
+        "Content of an open editor by its ID, including unsaved changes",
+    },
+    {
+      uriTemplate: "file://{path}",
+      name: "Open file",
+      description:
+        "Content of an open editor by its file path, including unsaved changes",
+    },
+  ];
+}
+
+/**
+ * Read the current buffer content of a resource
+ * @param {string} uri - Resource URI
+ * @returns {Object[]|null} MCP contents array or null if not found
+ */
+function readResource(uri) {
+  const editor = findEditorByUri(uri);
+  if (!editor) return null;
+  return [{ uri, mimeType: mimeTypeFor(editor), text: editor.getText() }];
+}
+
+/**
+ * Subscribe a session to resource updates
+ * @returns {boolean} False if the resource does not exist
+ */
+function subscribe(sessionId, uri) {
+  if (!findEditorByUri(uri)) return false;
+  if (!subscriptions.has(sessionId)) {
+    subscriptions.set(sessionId, new Set());
+  }
+  subscriptions.get(sessionId).add(uri);
+  return true;
+}
+
+/**
+ * Unsubscribe a session from resource updates
+ */
+function unsubscribe(sessionId, uri) {
+  subscriptions.get(sessionId)?.delete(uri);
+}
+
+/**
+ * Drop all subscriptions of a terminated session
+ */
+function dropSession(sessionId) {
+  subscriptions.delete(sessionId);
+}
+
+module.exports = {
+  activate,
+  listResources,
+  listResourceTemplates,
+  readResource,
+  subscribe,
+  unsubscribe,
+  dropSession,
+};
@@ -0,0 +1,294 @@
+/**
+ * JSON Schema validation for tool arguments
+ * Supports the subset used by tool input schemas: type, properties, required,
+ * additionalProperties, items, minItems, maxItems, enum, const, minimum,
+ * maximum, minLength, maxLength, pattern, anyOf, oneOf and default.
+ */
+
+const TYPES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "object",
+  "array",
+  "null",
+];
+
+const EMPTY_SCHEMA = { type: "object", properties: {}, required: [] };
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type (integers are also numbers)
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Join a field path for error messages
+ */
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Field path of value, empty for the root
+ * @returns {Array<{field: string, message: string}>} Empty if valid
+ */
+function validate(schema, value, path = "") {
+  const errors = [];
+  const field = path || "arguments";
+  const fail = (message) => errors.push({ field, message });
+
+  if (!schema || typeof schema !== "object") return errors;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    fail(
+      `must be one of ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}`
+    );
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern, "u").test(value)
+    ) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, joinPath(path, index)));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinPath(path, name), message: "is required" });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        errors.push(
+          ...validate(properties[name], propertyValue, joinPath(path, name))
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, name), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validate(
+            schema.additionalProperties,
+            propertyValue,
+            joinPath(path, name)
+          )
+        );
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(
+      (option) => validate(option, value, path).length === 0
+    );
+    if (!valid) fail("must match at least one of the allowed schemas");
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (option) => validate(option, value, path).length === 0
+    ).length;
+    if (matches !== 1) fail("must match exactly one of the allowed schemas");
+  }
+
+  return errors;
+}
+
+/**
+ * Return a copy of value with schema defaults filled in for missing
+ * object properties, recursively
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Validated value
+ * @returns {*}
+ */
+function applyDefaults(schema, value) {
+  if (!schema || typeof schema !== "object") return value;
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => applyDefaults(schema.items, item));
+  }
+
+  if (typeOf(value) !== "object" || !schema.properties) return value;
+
+  const result = { ...value };
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (result[name] === undefined && property.default !== undefined) {
+      result[name] = structuredClone(property.default);
+    }
+    if (result[name] !== undefined) {
+      result[name] = applyDefaults(property, result[name]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check that a tool input schema is well-formed
+ * @param {Object} schema - Schema to check
+ * @param {string} [path] - Location within the schema for error messages
+ * @returns {string[]} Problems found, empty if the schema is usable
+ */
+function checkSchema(schema, path = "inputSchema") {
+  const problems = [];
+
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!TYPES.includes(type)) {
+        problems.push(`${path}.type has unknown type ${JSON.stringify(type)}`);
+      }
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (typeOf(schema.properties) !== "object") {
+      problems.push(`${path}.properties must be an object`);
+    } else {
+      for (const [name, property] of Object.entries(schema.properties)) {
+        problems.push(...checkSchema(property, `${path}.properties.${name}`));
+      }
+    }
+  }
+
+  if (schema.required !== undefined) {
+    if (
+      !Array.isArray(schema.required) ||
+      !schema.required.every((name) => typeof name === "string")
+    ) {
+      problems.push(`${path}.required must be an array of strings`);
+    }
+  }
+
+  if (schema.items !== undefined) {
+    problems.push(...checkSchema(schema.items, `${path}.items`));
+  }
+
+  if (typeOf(schema.additionalProperties) === "object") {
+    problems.push(
+      ...checkSchema(
+        schema.additionalProperties,
+        `${path}.additionalProperties`
+      )
+    );
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    problems.push(`${path}.enum must be an array`);
+  }
+
+  for (const keyword of ["anyOf", "oneOf"]) {
+    if (schema[keyword] === undefined) continue;
+    if (!Array.isArray(schema[keyword])) {
+      problems.push(`${path}.${keyword} must be an array`);
+      continue;
+    }
+    schema[keyword].forEach((option, index) => {
+      problems.push(...checkSchema(option, `${path}.${keyword}[${index}]`));
+    });
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, "u");
+    } catch {
+      problems.push(`${path}.pattern is not a valid regular expression`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check a tool's root input schema, which must describe an object
+ * @param {Object} schema - Tool input schema
+ * @returns {string[]} Problems found, empty if the schema is usable
+ */
+function checkInputSchema(schema) {
+  const problems = checkSchema(schema);
+  if (problems.length === 0 && schema.type !== "object") {
+    problems.push('inputSchema.type must be "object"');
+  }
+  return problems;
+}
+
+/**
+ * Format validation errors into a single message
+ */
+function formatErrors(errors) {
+  return errors.map(({ field, message }) => `${field} ${message}`).join("; ");
+}
+
+module.exports = {
+  EMPTY_SCHEMA,
+  validate,
+  applyDefaults,
+  checkInputSchema,
+  formatErrors,
+};
@@ -0,0 +1,161 @@
+/**
+ * Project search for pulsar-mcp
+ * Runs atom.workspace.scan, which honours core.ignoredNames and searches
+ * modified buffers instead of their files on disk. Results are kept for a
+ * few searches, so pages can be read without scanning again.
+ */
+
+const { Range } = require("atom");
+const { serializeRange } = require("./editors");
+const { createLogger } = require("./log");
+
+const log = createLogger("Search");
+
+// Matches collected per search before the scan is cancelled
+const MAX_MATCHES = 10000;
+
+// Longer line and context texts are cut
+const MAX_LINE_LENGTH = 500;
+
+// Searches kept for paging, oldest are dropped first
+const MAX_SEARCHES = 10;
+
+const searches = new Map();
+let nextSearchId = 1;
+
+/**
+ * Escape text for literal use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the scan pattern from a query
+ * @throws {SyntaxError} If a regex query is invalid
+ */
+function buildPattern({ query, regex, caseSensitive }) {
+  const flags = caseSensitive ? "g" : "gi";
+  return new RegExp(regex ? query : escapeRegExp(query), flags);
+}
+
+/**
+ * Cut a long line for tool results
+ */
+function truncateLine(text) {
+  if (text.length <= MAX_LINE_LENGTH) return text;
+  return `${text.slice(0, MAX_LINE_LENGTH)}…`;
+}
+
+/**
+ * Convert a scan match into a plain result
+ */
+function serializeMatch(path, match) {
+  return {
+    path,
+    range: serializeRange(Range.fromObject(match.range)),
+    matchText: match.matchText,
+    lineText: truncateLine(match.lineText),
+    before: (match.leadingContextLines || []).map(truncateLine),
+    after: (match.trailingContextLines || []).map(truncateLine),
+  };
+}
+
+/**
+ * Order matches by path and position
+ */
+function compareMatches(a, b) {
+  return (
+    a.path.localeCompare(b.path) ||
+    a.range.start.row - b.range.start.row ||
+    a.range.start.column - b.range.start.column
+  );
+}
+
+/**
+ * Search the project
+ * @param {Object} options
+ * @param {string} options.query - Text or regular expression to find
+ * @param {boolean} [options.regex] - Treat query as regular expression
+ * @param {boolean} [options.caseSensitive] - Match case
+ * @param {string[]} [options.paths] - Glob patterns, prefix ! to exclude
+ * @param {number} [options.contextLines] - Lines of context around matches
+ * @param {number} options.timeout - Cancel the scan after this many ms
+ * @param {Object} [context] - Call context
+ * @param {AbortSignal} [context.signal] - Cancel the scan when aborted
+ * @param {Function} [context.progress] - Called with the number of searched files
+ * @returns {Promise<Object>} Search with id, pattern, matches and stoppedBy
+ */
+async function searchProject(options, { signal, progress } = {}) {
+  const pattern = buildPattern(options);
+  const matches = [];
+  let stoppedBy = null;
+
+  const scan = atom.workspace.scan(
+    pattern,
+    {
+      paths: options.paths || [],
+      leadingContextLineCount: options.contextLines || 0,
+      trailingContextLineCount: options.contextLines || 0,
+      onPathsSearched: (count) =>
+        progress?.(count, undefined, `${count} files searched`),
+    },
+    (result) => {
+      if (stoppedBy) return;
+      for (const match of result.matches) {
+        if (matches.length >= MAX_MATCHES) {
+          stoppedBy = "limit";
+          scan.cancel();
+          return;
+        }
+        matches.push(serializeMatch(result.filePath, match));
+      }
+    }
+  );
+
+  let timer;
+  let onAbort;
+  const stop = await Promise.race([
+    scan.then(() => null),
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve("timeout"), options.timeout);
+    }),
+    new Promise((resolve) => {
+      onAbort = () => resolve("cancelled");
+      signal?.addEventListener("abort", onAbort);
+    }),
+  ]);
+  clearTimeout(timer);
+  signal?.removeEventListener("abort", onAbort);
+  if (stop && !stoppedBy) {
+    stoppedBy = stop;
+    scan.cancel();
+  }
+
+  const search = {
+    id: nextSearchId++,
+    pattern,
+    options,
+    matches: matches.sort(compareMatches),
+    stoppedBy,
+  };
+  searches.set(search.id, search);
+  if (searches.size > MAX_SEARCHES) {
+    searches.delete(searches.keys().next().value);
+  }
+
+  log.debug(`Search ${search.id} for ${pattern} found ${matches.length}`, {
+    stoppedBy,
+  });
+  return search;
+}
+
+/**
+ * Get a previous search
+ * @returns {Object|null}
+ */
+function getSearch(id) {
+  return searches.get(id) || null;
+}
+
+module.exports = { searchProject, getSearch };
@@ -5,155 +5,592 @@
  * Spawned by Claude CLI, communicates via stdio (JSON-RPC 2.0)
  *
  * This file is executed as a standalone process by Claude CLI.
- * It connects to the HTTP bridge running inside Pulsar to execute tools.
+ * It is a protocol proxy: every JSON-RPC message is forwarded to the /mcp
+ * endpoint of the HTTP bridge running inside Pulsar, and everything the
+ * bridge sends back (responses, notifications, requests) is written to
+ * stdout. Only the ListWindows tool is answered locally.
+ *
+ * With several Pulsar windows open, every bridge publishes a record (port,
+ * project paths, focus time) and the window whose project roots contain the
+ * current working directory is used, falling back to the most recently
+ * focused one.
  *
  * Environment variables:
- *   PULSAR_BRIDGE_PORT - Port of the bridge server (default: 3000)
- *   PULSAR_BRIDGE_HOST - Host of the bridge server (default: 127.0.0.1)
+ *   PULSAR_BRIDGE_PORT    - Port of the bridge server (default: auto-discovered)
+ *   PULSAR_BRIDGE_HOST    - Host of the bridge server (default: 127.0.0.1)
+ *   PULSAR_BRIDGE_TOKEN   - Bearer token of the bridge (default: read from the
+ *                           bridge record in $ATOM_HOME/pulsar-mcp/bridges)
+ *   PULSAR_BRIDGE_PROJECT - Project path or folder name selecting the window
  */
 
 const readline = require("readline");
+const { readRecord, listRecords, selectRecord } = require("./registry");
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = "127.0.0.1";
+const EXPLICIT_PORT = process.env.PULSAR_BRIDGE_PORT
+  ? parseInt(process.env.PULSAR_BRIDGE_PORT, 10)
+  : null;
+const BRIDGE_PROJECT = process.env.PULSAR_BRIDGE_PROJECT || null;
+const RELAY_RETRY_MS = 2000;
+
+// Notifications sent to the client after reconnecting to a restarted bridge
+const RECONNECT_NOTIFICATIONS = [
+  "notifications/tools/list_changed",
+  "notifications/prompts/list_changed",
+  "notifications/resources/list_changed",
+];
 
-const BRIDGE_PORT = parseInt(process.env.PULSAR_BRIDGE_PORT || "3000", 10);
-const BRIDGE_HOST = process.env.PULSAR_BRIDGE_HOST || "127.0.0.1";
+// Window chosen by discovery, kept for as long as it is running
+let selected = null;
+
+/**
+ * Build bridge connection info from a registry record
+ */
+function bridgeFromRecord(record, port, reason) {
+  return {
+    port,
+    host: process.env.PULSAR_BRIDGE_HOST || record?.host || DEFAULT_HOST,
+    token: process.env.PULSAR_BRIDGE_TOKEN || record?.token || null,
+    reason,
+  };
+}
 
 /**
- * Call the Pulsar bridge HTTP server to execute a tool
+ * Resolve the bridge to talk to.
+ * Records are re-read on every call, because the token changes whenever
+ * the bridge restarts.
+ * @returns {{port: number, host: string, token: string|null, reason: string}}
  */
-async function callBridge(toolName, args) {
-  const url = `http://${BRIDGE_HOST}:${BRIDGE_PORT}/tools/${toolName}`;
+function resolveBridge() {
+  if (EXPLICIT_PORT) {
+    return bridgeFromRecord(
+      readRecord(EXPLICIT_PORT),
+      EXPLICIT_PORT,
+      "PULSAR_BRIDGE_PORT"
+    );
+  }
+
+  if (selected) {
+    const record = readRecord(selected.port);
+    if (record && record.pid === selected.pid) {
+      return bridgeFromRecord(record, record.port, selected.reason);
+    }
+    selected = null;
+  }
 
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(args),
+  const match = selectRecord(listRecords(), {
+    cwd: process.cwd(),
+    project: BRIDGE_PROJECT,
   });
+  if (!match) {
+    return bridgeFromRecord(null, DEFAULT_PORT, "default port");
+  }
+
+  const { record, reason } = match;
+  selected = { port: record.port, pid: record.pid, reason };
+  console.error(
+    `[pulsar-mcp] Using Pulsar window on port ${record.port} (${reason})`
+  );
+  return bridgeFromRecord(record, record.port, reason);
+}
+
+/**
+ * Get the base URL of a bridge
+ */
+function bridgeUrl(bridge) {
+  return `http://${bridge.host}:${bridge.port}`;
+}
+
+/**
+ * Get authorization headers for a bridge
+ */
+function authHeaders(bridge) {
+  return bridge.token ? { Authorization: `Bearer ${bridge.token}` } : {};
+}
+
+/**
+ * Send JSON-RPC message to stdout
+ */
+function send(msg) {
+  process.stdout.write(JSON.stringify(msg) + "\n");
+}
+
+/**
+ * Create JSON-RPC error response
+ */
+function jsonRpcError(id, code, message) {
+  return { jsonrpc: "2.0", id, error: { code, message } };
+}
+
+/**
+ * Check if a message is a request (has both method and id)
+ */
+function isRequest(message) {
+  return message.method !== undefined && message.id !== undefined;
+}
+
+// ============================================================================
+// Bridge connection
+// ============================================================================
+
+// Current bridge session: { bridge, sessionId }
+let connection = null;
+
+// Params of the client's initialize request, replayed after a bridge restart
+let initializeParams = null;
 
-  const result = await response.json();
+// IDs of tools/list requests whose results get the local tools appended
+const pendingToolLists = new Set();
 
-  if (!response.ok || !result.success) {
-    throw new Error(result.error || `Tool call failed: ${toolName}`);
+/**
+ * Error raised when the bridge cannot be reached or refuses the session
+ */
+class BridgeError extends Error {
+  constructor(message, code = -32603) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Read a text/event-stream body and call onMessage for every JSON message
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onMessage - Called with each parsed message
+ */
+async function readEventStream(body, onMessage) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = event
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (!data) continue;
+
+      try {
+        onMessage(JSON.parse(data));
+      } catch {
+        console.error("[pulsar-mcp] Ignoring malformed event from bridge");
+      }
+    }
+  }
+}
+
+/**
+ * Write a message from the bridge to stdout, appending local tools to
+ * tools/list results. Batch responses are written message by message.
+ */
+function forwardToClient(message) {
+  if (Array.isArray(message)) {
+    message.forEach(forwardToClient);
+    return;
+  }
+
+  if (pendingToolLists.has(message.id) && message.result?.tools) {
+    pendingToolLists.delete(message.id);
+    const local = Object.values(localTools).map(
+      ({ execute: _execute, ...tool }) => tool
+    );
+    message.result.tools.push(...local);
   }
 
-  return result.data;
+  send(message);
 }
 
 /**
- * Check if the bridge is available
+ * POST messages to the bridge /mcp endpoint
+ * @param {Object} bridge - Bridge connection info
+ * @param {string|null} sessionId - Session to use
+ * @param {Object|Object[]} payload - Single message or batch
+ * @returns {Promise<Response>}
  */
-async function checkBridge() {
+async function postToBridge(bridge, sessionId, payload) {
+  const headers = {
+    "Content-Type": "application/json",
+    Accept: "application/json, text/event-stream",
+    ...authHeaders(bridge),
+  };
+  if (sessionId) headers["Mcp-Session-Id"] = sessionId;
+
+  let response;
   try {
-    const response = await fetch(`http://${BRIDGE_HOST}:${BRIDGE_PORT}/health`);
-    return response.ok;
+    response = await fetch(`${bridgeUrl(bridge)}/mcp`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+    });
   } catch {
-    return false;
+    throw new BridgeError(
+      `Pulsar bridge not available at ${bridgeUrl(bridge)}. ` +
+        "Make sure Pulsar is running with the pulsar-mcp package activated."
+    );
   }
+
+  if (response.status === 401) {
+    throw new BridgeError(
+      "Pulsar bridge rejected the token. Set PULSAR_BRIDGE_TOKEN or check the bridge record."
+    );
+  }
+  return response;
+}
+
+/**
+ * Check if a parsed body is a JSON-RPC message or batch of messages
+ */
+function isJsonRpc(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.every((message) => message?.jsonrpc === "2.0");
 }
 
 /**
- * Fetch tools list from the bridge (includes external tools)
+ * Write the body of a bridge response to stdout, either a JSON document
+ * or an event stream carrying notifications followed by the response
+ * @throws {BridgeError} If the bridge answered with an HTTP error or a body
+ *   that is not JSON-RPC, so the caller can fail the forwarded requests
  */
-async function fetchToolsFromBridge() {
-  const response = await fetch(`http://${BRIDGE_HOST}:${BRIDGE_PORT}/tools`);
+async function forwardResponse(response) {
+  if (response.status === 202) return;
+
+  const contentType = response.headers.get("content-type") || "";
+  if (response.ok && contentType.includes("text/event-stream")) {
+    await readEventStream(response.body, forwardToClient);
+    return;
+  }
+
+  const text = await response.text();
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    // Reported below
+  }
+
+  // JSON-RPC errors, e.g. invalid params, come with HTTP error statuses
+  if (body && isJsonRpc(body)) {
+    forwardToClient(body);
+    return;
+  }
   if (!response.ok) {
-    throw new Error("Failed to fetch tools from bridge");
+    const reason = typeof body?.error === "string" ? `: ${body.error}` : "";
+    throw new BridgeError(
+      `Bridge request failed (HTTP ${response.status})${reason}`
+    );
   }
-  const data = await response.json();
-  return data.tools || [];
+  if (text) throw new BridgeError("Bridge sent a malformed response");
 }
 
 /**
- * Send JSON-RPC response to stdout
+ * Open a bridge session by forwarding the client's initialize request
+ * @param {Object} message - The initialize request
+ * @returns {Promise<Response>} Bridge response to the initialize request
  */
-function send(msg) {
-  process.stdout.write(JSON.stringify(msg) + "\n");
+async function initializeSession(message) {
+  const bridge = resolveBridge();
+  const response = await postToBridge(bridge, null, message);
+  const sessionId = response.headers.get("mcp-session-id");
+
+  if (response.ok && sessionId) {
+    connection = { bridge, sessionId };
+    initializeParams = message.params;
+  }
+  return response;
+}
+
+// Reconnect in progress, shared by the relay and concurrent requests
+let reconnecting = null;
+
+/**
+ * Re-create the bridge session after the bridge restarted (its sessions are
+ * gone) or discovery picked another window. The client is told to refetch
+ * tools, prompts and resources since they may differ now.
+ */
+function reconnect() {
+  if (!reconnecting) {
+    reconnecting = openReplacementSession().finally(() => {
+      reconnecting = null;
+    });
+  }
+  return reconnecting;
 }
 
 /**
- * Handle incoming JSON-RPC request
+ * Replay the client's initialize request against the bridge
  */
-async function handleRequest(req) {
-  const { method, params } = req;
+async function openReplacementSession() {
+  const response = await initializeSession({
+    jsonrpc: "2.0",
+    id: "reconnect",
+    method: "initialize",
+    params: initializeParams,
+  });
+  await response.text();
+  if (!response.ok) {
+    throw new BridgeError(`Bridge refused session (HTTP ${response.status})`);
+  }
+
+  await postToBridge(connection.bridge, connection.sessionId, {
+    jsonrpc: "2.0",
+    method: "notifications/initialized",
+  });
+  console.error(
+    `[pulsar-mcp] Reconnected to bridge on port ${connection.bridge.port}`
+  );
 
-  // Initialize handshake
-  if (method === "initialize") {
-    return {
-      protocolVersion: "2024-11-05",
-      capabilities: { tools: {} },
-      serverInfo: { name: "pulsar", version: "0.1.0" },
-    };
+  for (const method of RECONNECT_NOTIFICATIONS) {
+    send({ jsonrpc: "2.0", method });
   }
+}
 
-  // List available tools (fetch from bridge to include external tools)
-  if (method === "tools/list") {
-    const bridgeAvailable = await checkBridge();
-    if (!bridgeAvailable) {
-      throw {
-        code: -32603,
-        message:
-          `Pulsar bridge not available at http://${BRIDGE_HOST}:${BRIDGE_PORT}. ` +
-          "Make sure Pulsar is running with the pulsar-mcp package activated.",
-      };
-    }
-    const tools = await fetchToolsFromBridge();
-    return { tools };
-  }
-
-  // Execute a tool
-  if (method === "tools/call") {
-    const { name, arguments: args } = params;
-
-    // Check bridge availability
-    const bridgeAvailable = await checkBridge();
-    if (!bridgeAvailable) {
-      throw {
-        code: -32603,
-        message:
-          `Pulsar bridge not available at http://${BRIDGE_HOST}:${BRIDGE_PORT}. ` +
-          "Make sure Pulsar is running with the pulsar-mcp package activated.",
-      };
+/**
+ * Forward client messages within the current session, reconnecting once
+ * when the bridge no longer knows the session
+ * @param {Object|Object[]} payload - Single message or batch
+ */
+async function forwardToBridge(payload) {
+  if (!connection) {
+    throw new BridgeError("Not initialized: send initialize first", -32600);
+  }
+
+  // A restarted bridge keeps its port but has a new token
+  const bridge = resolveBridge();
+  if (bridge.port !== connection.bridge.port) {
+    await reconnect();
+  } else {
+    connection.bridge = bridge;
+  }
+
+  let response = await postToBridge(
+    connection.bridge,
+    connection.sessionId,
+    payload
+  );
+  if (response.status === 404) {
+    await response.text();
+    await reconnect();
+    response = await postToBridge(
+      connection.bridge,
+      connection.sessionId,
+      payload
+    );
+  }
+
+  await forwardResponse(response);
+}
+
+// ============================================================================
+// Event stream relay (bridge -> stdout)
+// ============================================================================
+
+let relayStarted = false;
+
+/**
+ * Keep the session event stream to the bridge open and forward everything
+ * it carries. Reconnects after the bridge restarts.
+ */
+async function startRelay() {
+  if (relayStarted) return;
+  relayStarted = true;
+
+  for (;;) {
+    try {
+      connection.bridge = resolveBridge();
+      const { bridge, sessionId } = connection;
+      const response = await fetch(`${bridgeUrl(bridge)}/mcp`, {
+        headers: {
+          Accept: "text/event-stream",
+          "Mcp-Session-Id": sessionId,
+          ...authHeaders(bridge),
+        },
+      });
+
+      if (response.status === 404) {
+        await response.text();
+        await reconnect();
+        continue;
+      }
+      if (response.ok) {
+        await readEventStream(response.body, forwardToClient);
+      }
+    } catch {
+      // Bridge not running or restarting, retry below
     }
+    await new Promise((resolve) => setTimeout(resolve, RELAY_RETRY_MS));
+  }
+}
+
+/**
+ * Terminate the bridge session
+ */
+async function closeSession() {
+  if (!connection) return;
+  const { bridge, sessionId } = connection;
+  try {
+    await fetch(`${bridgeUrl(bridge)}/mcp`, {
+      method: "DELETE",
+      headers: { "Mcp-Session-Id": sessionId, ...authHeaders(bridge) },
+    });
+  } catch {
+    // Bridge already gone
+  }
+}
+
+// ============================================================================
+// Local tools (answered by this process, not the bridge)
+// ============================================================================
 
-    // Execute via bridge (bridge validates tool existence)
-    const result = await callBridge(name, args || {});
+const localTools = {
+  ListWindows: {
+    name: "ListWindows",
+    description:
+      "List Pulsar windows with a running MCP bridge. Returns {selected: {port, reason}, windows: [{port, pid, title, projectPaths, focusedAt, selected}]}. Another window is chosen by starting the server with PULSAR_BRIDGE_PROJECT or PULSAR_BRIDGE_PORT.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute() {
+      const bridge = connection?.bridge || resolveBridge();
+      return {
+        selected: { port: bridge.port, reason: bridge.reason },
+        windows: listRecords().map(({ token: _token, ...record }) => ({
+          ...record,
+          selected: record.port === bridge.port,
+        })),
+      };
+    },
+  },
+};
 
-    return {
+/**
+ * Answer a tools/call request for a local tool
+ */
+function callLocalTool(message) {
+  const tool = localTools[message.params.name];
+  const result = tool.execute(message.params.arguments || {});
+  return {
+    jsonrpc: "2.0",
+    id: message.id,
+    result: {
       content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
-    };
+      isError: false,
+    },
+  };
+}
+
+/**
+ * Check if a message is a tools/call for a local tool
+ */
+function isLocalToolCall(message) {
+  return (
+    message.method === "tools/call" &&
+    Object.hasOwn(localTools, message.params?.name)
+  );
+}
+
+// ============================================================================
+// Stdio
+// ============================================================================
+
+/**
+ * Answer every request in a payload with the same error
+ */
+function failRequests(payload, error) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  for (const message of messages.filter(isRequest)) {
+    pendingToolLists.delete(message.id);
+    send(
+      jsonRpcError(
+        message.id,
+        error.code || -32603,
+        error.message || String(error)
+      )
+    );
   }
+}
 
-  throw { code: -32601, message: `Method not found: ${method}` };
+/**
+ * Handle one line from stdin: a single message or a batch
+ * @returns {Promise} Resolves once the line was handed to the bridge, for
+ *   initialize once the session exists, never rejects
+ */
+async function handleLine(payload) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+
+  // Local tools never reach the bridge
+  const local = messages.filter(isLocalToolCall);
+  const remote = messages.filter((message) => !isLocalToolCall(message));
+  for (const message of local) {
+    send(callLocalTool(message));
+  }
+  if (remote.length === 0) return;
+
+  for (const message of remote) {
+    if (message.method === "tools/list") pendingToolLists.add(message.id);
+  }
+  const forwarded = Array.isArray(payload) ? remote : remote[0];
+
+  if (!Array.isArray(payload) && payload.method === "initialize") {
+    try {
+      await forwardResponse(await initializeSession(payload));
+    } catch (error) {
+      failRequests(forwarded, error);
+    }
+    return;
+  }
+
+  // The response is not awaited, so a slow tool call does not hold back
+  // later messages such as notifications/cancelled
+  forwardToBridge(forwarded)
+    .then(() => {
+      if (
+        remote.some((message) => message.method === "notifications/initialized")
+      ) {
+        startRelay();
+      }
+    })
+    .catch((error) => failRequests(forwarded, error));
 }
 
 // Set up readline for stdio communication
 const rl = readline.createInterface({ input: process.stdin });
 
-rl.on("line", async (line) => {
-  let req;
+// Lines are handled one after another in arrival order, so requests sent
+// right after initialize wait for the session instead of racing it
+let lines = Promise.resolve();
+
+rl.on("line", (line) => {
+  if (!line.trim()) return;
+
+  let payload;
   try {
-    req = JSON.parse(line);
+    payload = JSON.parse(line);
   } catch {
-    send({
-      jsonrpc: "2.0",
-      id: null,
-      error: { code: -32700, message: "Parse error" },
-    });
+    send(jsonRpcError(null, -32700, "Parse error"));
     return;
   }
 
-  // Ignore notifications (no id)
-  if (req.id === undefined) return;
-
-  try {
-    const result = await handleRequest(req);
-    send({ jsonrpc: "2.0", id: req.id, result });
-  } catch (e) {
-    send({
-      jsonrpc: "2.0",
-      id: req.id,
-      error: { code: e.code || -32603, message: e.message || String(e) },
+  lines = lines
+    .then(() => handleLine(payload))
+    .catch((error) => {
+      console.error(`[pulsar-mcp] Failed to handle message: ${error.message}`);
     });
-  }
+});
+
+// The relay keeps the event loop alive, exit when the client goes away
+rl.on("close", async () => {
+  await closeSession();
+  process.exit(0);
 });
 
 console.error("[pulsar-mcp] MCP server started");
@@ -0,0 +1,160 @@
+/**
+ * Syntax tree inspection for pulsar-mcp
+ * Reads the Tree-sitter trees Pulsar keeps for every buffer with a
+ * Tree-sitter grammar: the node at a position with its parents, and the
+ * captures of a query. Scope descriptors work with any grammar.
+ */
+
+const { serializeRange } = require("./editors");
+
+// Longer node texts are cut, ranges still cover the whole node
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Cut long node texts
+ */
+function truncateText(text) {
+  if (text.length <= MAX_TEXT_LENGTH) return text;
+  return `${text.slice(0, MAX_TEXT_LENGTH)}…`;
+}
+
+/**
+ * Check whether a node is named, a getter or a method depending on the
+ * web-tree-sitter version
+ */
+function isNamed(node) {
+  return typeof node.isNamed === "function" ? node.isNamed() : node.isNamed;
+}
+
+/**
+ * Describe a node for tool results
+ * @returns {Object} {type, named, range, text?}
+ */
+function describeNode(node, withText) {
+  const description = {
+    type: node.type,
+    named: isNamed(node),
+    range: serializeRange({ start: node.startPosition, end: node.endPosition }),
+  };
+  if (withText) description.text = truncateText(node.text);
+  return description;
+}
+
+/**
+ * Get the Tree-sitter language mode of an editor, once parsing settled
+ * @throws {Error} If the grammar of the editor is not a Tree-sitter grammar
+ */
+async function getLanguageMode(editor) {
+  const languageMode = editor.getBuffer().getLanguageMode();
+  if (!languageMode.rootLanguageLayer) {
+    const grammar = editor.getGrammar()?.name || "Plain Text";
+    throw new Error(
+      `The ${grammar} grammar is not a Tree-sitter grammar, use GetScopesAtPosition`
+    );
+  }
+  await languageMode.atTransactionEnd?.();
+  return languageMode;
+}
+
+/**
+ * Get the syntax node at a position and its parents
+ * @param {TextEditor} editor - Editor to inspect
+ * @param {Object} position - {row, column}
+ * @param {Object} options
+ * @param {boolean} options.named - Skip anonymous nodes such as punctuation
+ * @param {string[]} [options.types] - Return the nearest node of these types
+ * @returns {Promise<Object|null>} {node, parents}, parents innermost first
+ */
+async function getSyntaxNode(editor, position, { named, types }) {
+  const languageMode = await getLanguageMode(editor);
+  const point = [position.row, position.column];
+  const node = languageMode.getSyntaxNodeAtPosition(point, (candidate) => {
+    if (types) return types.includes(candidate.type);
+    return !named || isNamed(candidate);
+  });
+  if (!node) return null;
+
+  const parents = [];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    parents.push(describeNode(parent, false));
+  }
+  return { node: describeNode(node, true), parents };
+}
+
+/**
+ * Get the scope descriptors at a position
+ * @returns {Object} {scopes, syntaxScopes}, outermost first
+ */
+function getScopes(editor, position) {
+  const point = [position.row, position.column];
+  return {
+    scopes: editor.scopeDescriptorForBufferPosition(point).getScopesArray(),
+    syntaxScopes: editor
+      .syntaxTreeScopeDescriptorForBufferPosition(point)
+      .getScopesArray(),
+  };
+}
+
+/**
+ * Run a Tree-sitter query on the trees of a grammar in a buffer
+ * @param {TextEditor} editor - Editor to query
+ * @param {string} source - Query in the Tree-sitter query language
+ * @param {Object} options
+ * @param {string} [options.scopeName] - Grammar of injected layers to query
+ * @param {Object} [options.range] - Only captures in this {start, end}
+ * @param {string[]} [options.captures] - Only captures of these names
+ * @param {number} options.maxResults - Stop after this many captures
+ * @returns {Promise<Object>} {captures: [{name, type, range, text}], total, truncated}
+ */
+async function querySyntaxTree(editor, source, options) {
+  const languageMode = await getLanguageMode(editor);
+  const scopeName =
+    options.scopeName || languageMode.rootLanguageLayer.grammar.scopeName;
+  const layers = languageMode
+    .getAllLanguageLayers()
+    .filter((layer) => layer.tree && layer.grammar.scopeName === scopeName);
+  if (layers.length === 0) {
+    throw new Error(`No ${scopeName} syntax tree in this buffer`);
+  }
+
+  let query;
+  try {
+    query = layers[0].language.query(source);
+  } catch (error) {
+    throw new Error(`Invalid query: ${error.message}`);
+  }
+
+  const found = [];
+  try {
+    const { start, end } = options.range || {};
+    for (const layer of layers) {
+      const captures = options.range
+        ? query.captures(layer.tree.rootNode, start, end)
+        : query.captures(layer.tree.rootNode);
+      for (const { name, node } of captures) {
+        if (options.captures && !options.captures.includes(name)) continue;
+        found.push({ name, node });
+      }
+    }
+  } finally {
+    query.delete();
+  }
+
+  found.sort(
+    (a, b) =>
+      a.node.startIndex - b.node.startIndex || a.node.endIndex - b.node.endIndex
+  );
+  return {
+    captures: found
+      .slice(0, options.maxResults)
+      .map(({ name, node }) => ({ name, ...describeNode(node, true) })),
+    total: found.length,
+    truncated: found.length > options.maxResults,
+  };
+}
+
+module.exports = {
+  getSyntaxNode,
+  getScopes,
+  querySyntaxTree,
+};
@@ -3,15 +3,36 @@
  * Each tool contains: name, description, inputSchema, execute
  */
 
+const { normalize } = require("path");
+const edits = require("./edits");
+const diagnostics = require("./diagnostics");
+const ide = require("./ide");
+const search = require("./search");
+const replace = require("./replace");
+const git = require("./git");
+const layout = require("./layout");
+const commands = require("./commands");
+const ask = require("./ask");
+const annotations = require("./annotations");
+const proposals = require("./proposals");
+const syntax = require("./syntax");
+const {
+  findEditor,
+  resolveEditor,
+  withEditor,
+  describeEditor,
+  serializeRange,
+} = require("./editors");
+
 // ============================================================================
 // Tool Definitions
 // ============================================================================
 
 const tools = {
-  GetActiveEditor: {
-    name: "GetActiveEditor",
+  ListEditors: {
+    name: "ListEditors",
     description:
-      "Get active editor metadata. Returns {path, grammar, modified, lineCount}. Use ReadText for content, GetSelections for cursors/selections.",
+      "List all open text editors across panes, including untitled buffers. Returns array of {id, path, title, modified, grammar, lineCount, paneIndex, active}. Pass id as editorId to other editor tools to work in a tab without activating it.",
     inputSchema: {
       type: "object",
       properties: {},
@@ -19,38 +40,67 @@ const tools = {
     },
     annotations: { readOnlyHint: true },
     execute() {
-      const editor = atom.workspace.getActiveTextEditor();
+      return atom.workspace.getTextEditors().map(describeEditor);
+    },
+  },
+
+  GetActiveEditor: {
+    name: "GetActiveEditor",
+    description:
+      "Get editor metadata of active editor, or of the editor given by editorId/path. Returns {id, path, title, modified, grammar, lineCount, paneIndex, active}. Use ReadText for content, GetSelections for cursors/selections.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ editorId, path } = {}) {
+      const editor = resolveEditor({ editorId, path });
       if (!editor) return null;
-      return {
-        path: editor.getPath() || null,
-        grammar: editor.getGrammar()?.name || "Plain Text",
-        modified: editor.isModified(),
-        lineCount: editor.getLineCount(),
-      };
+      return describeEditor(editor);
     },
   },
 
   ReadText: {
     name: "ReadText",
     description:
-      "Read buffer content from active editor. For files >500 lines, use offset/limit pagination to avoid truncation. Modes: (1) offset/limit - returns {content, totalLines, hasMore, range}. (2) start/end positions. (3) No params = full content (small files only).",
+      "Read buffer content from active editor, or the editor given by editorId/path. For files >500 lines, use offset/limit pagination to avoid truncation. Modes: (1) offset/limit - returns {content, totalLines, hasMore, range}. (2) start/end positions. (3) No params = full content (small files only). Every result includes hash of the whole buffer, pass it to ApplyEdits to detect concurrent changes.",
     inputSchema: {
       type: "object",
       properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
         offset: {
-          type: "number",
+          type: "integer",
+          minimum: 0,
           description: "Start line for pagination (0-indexed). Use with limit for chunked reading.",
         },
         limit: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Max lines to read (recommended: <500). Returns hasMore=true if more lines exist.",
         },
         start: {
           type: "object",
           description: "Start position (0-indexed). If omitted, reads from beginning.",
           properties: {
-            row: { type: "number", description: "Row (0-indexed)" },
-            column: { type: "number", description: "Column (0-indexed)" },
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
           },
           required: ["row", "column"],
         },
@@ -58,8 +108,8 @@ const tools = {
           type: "object",
           description: "End position (0-indexed). If omitted, reads to end of file.",
           properties: {
-            row: { type: "number", description: "Row (0-indexed)" },
-            column: { type: "number", description: "Column (0-indexed)" },
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
           },
           required: ["row", "column"],
         },
@@ -67,12 +117,13 @@ const tools = {
       required: [],
     },
     annotations: { readOnlyHint: true },
-    execute({ offset, limit, start, end } = {}) {
-      const editor = atom.workspace.getActiveTextEditor();
+    execute({ editorId, path: target, offset, limit, start, end } = {}) {
+      const editor = resolveEditor({ editorId, path: target });
       if (!editor) return null;
 
       const path = editor.getPath() || null;
       const totalLines = editor.getLineCount();
+      const hash = edits.getBufferHash(editor.getBuffer());
 
       // Line-based pagination (offset/limit)
       if (offset !== undefined || limit !== undefined) {
@@ -84,6 +135,7 @@ const tools = {
           content: editor.getTextInBufferRange(range),
           path,
           totalLines,
+          hash,
           hasMore: endLine < totalLines,
           range: { start: startLine, end: endLine - 1 },
         };
@@ -99,6 +151,7 @@ const tools = {
           content: editor.getTextInBufferRange(range),
           path,
           totalLines,
+          hash,
           range: { start: s, end: e },
         };
       }
@@ -108,6 +161,7 @@ const tools = {
         content: editor.getText(),
         path,
         totalLines,
+        hash,
       };
     },
   },
@@ -115,10 +169,18 @@ const tools = {
   WriteText: {
     name: "WriteText",
     description:
-      "Write text into active editor. With start: inserts at position (end defaults to start). With start+end: replaces range. Without: inserts at cursors. Returns {written, oldText?, path}.",
+      "Write text into active editor, or the editor given by editorId/path. With start: inserts at position (end defaults to start). With start+end: replaces range. Without: inserts at cursors. Returns {written, oldText?, path}. With the Suggest Edits setting on, the user reviews the change first and the result has proposal {id, status, ...} as in ProposeEdit.",
     inputSchema: {
       type: "object",
       properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
         text: {
           type: "string",
           description: "The text to write",
@@ -127,8 +189,8 @@ const tools = {
           type: "object",
           description: "Start position (0-indexed). If omitted, inserts at cursor.",
           properties: {
-            row: { type: "number", description: "Row (0-indexed)" },
-            column: { type: "number", description: "Column (0-indexed)" },
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
           },
           required: ["row", "column"],
         },
@@ -136,237 +198,1859 @@ const tools = {
           type: "object",
           description: "End position (0-indexed). Defaults to start (insert without replacing).",
           properties: {
-            row: { type: "number", description: "Row (0-indexed)" },
-            column: { type: "number", description: "Column (0-indexed)" },
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
           },
           required: ["row", "column"],
         },
       },
       required: ["text"],
     },
-    annotations: { readOnlyHint: false },
-    execute({ text, start, end }) {
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    preview({ editorId, path, text, start, end }) {
+      const editor = findEditor({ editorId, path });
+      if (!editor) return null;
+      const target = editor.getPath() || "untitled";
+      if (!start) return `Insert at cursors in ${target}:\n${text}`;
+      const e = end || start;
+      const oldText = editor.getTextInBufferRange([
+        [start.row, start.column],
+        [e.row, e.column],
+      ]);
+      return oldText
+        ? `Replace in ${target}:\n${oldText}\n--- with ---\n${text}`
+        : `Insert in ${target}:\n${text}`;
+    },
+    async execute({ editorId, path, text, start, end }, context = {}) {
       if (typeof text !== "string") throw new Error("text is required");
 
-      const editor = atom.workspace.getActiveTextEditor();
+      const editor = resolveEditor({ editorId, path });
       if (!editor) return { written: false };
 
-      // If start specified, insert/replace at position
-      if (start) {
-        const e = end || start; // Default end to start (insert without replacing)
-        const range = [[start.row, start.column], [e.row, e.column]];
-        const oldText = editor.getTextInBufferRange(range);
-        editor.setTextInBufferRange(range, text);
-        return { written: true, oldText, path: editor.getPath() || null };
+      // In suggest mode the user accepts or rejects the change first
+      if (atom.config.get("pulsar-mcp.suggestEdits")) {
+        const ranges = start
+          ? [{ start, end: end || start }]
+          : editor.getSelectedBufferRanges();
+        const proposal = proposals.createProposal(
+          editor,
+          ranges.map((range) => ({ range, newText: text })),
+          context
+        );
+        const decision = await proposals.waitForSuggestion(proposal, context);
+        return {
+          written: decision.status === "accepted",
+          path: editor.getPath() || null,
+          proposal: decision,
+        };
       }
 
-      // Otherwise insert at cursor/replace selection
-      editor.insertText(text);
-      return { written: true, path: editor.getPath() || null };
+      // One undo step per call, recorded for RevertEdits
+      return edits.trackEdits(editor.getBuffer(), context, () => {
+        // If start specified, insert/replace at position
+        if (start) {
+          const e = end || start; // Default end to start (insert without replacing)
+          const range = [[start.row, start.column], [e.row, e.column]];
+          const oldText = editor.getTextInBufferRange(range);
+          editor.setTextInBufferRange(range, text);
+          return { written: true, oldText, path: editor.getPath() || null };
+        }
+
+        // Otherwise insert at cursor/replace selection
+        editor.insertText(text);
+        return { written: true, path: editor.getPath() || null };
+      });
     },
   },
 
-  OpenFile: {
-    name: "OpenFile",
+  ApplyEdits: {
+    name: "ApplyEdits",
     description:
-      "Open a file in editor. All positions are 0-indexed. Returns true on success. Creates new file if path doesn't exist.",
+      "Apply several non-overlapping edits to active editor (or the editor given by editorId/path) atomically, as one undo step. Each edit targets either start/end with the expected oldText, or a literal search anchor that must match once (or pick one with occurrence). Positions refer to the buffer before any edit of the batch. If hash (from ReadText) or any expectation does not match, nothing is applied and an error lists every conflict with the current text. Returns {applied, hash, path}. With the Suggest Edits setting on, the user reviews the batch first and the result has proposal {id, status, ...} as in ProposeEdit.",
     inputSchema: {
       type: "object",
       properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
         path: {
           type: "string",
-          description: "File path (absolute or relative to project root)",
+          description: "File path of an open target editor (default: active editor)",
         },
-        row: {
-          type: "number",
-          description: "Row to navigate to (0-indexed, optional)",
+        edits: {
+          type: "array",
+          description: "Edits to apply",
+          minItems: 1,
+          items: {
+            type: "object",
+            properties: {
+              start: {
+                type: "object",
+                description: "Start position (0-indexed) of the range to replace",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              end: {
+                type: "object",
+                description: "End position (0-indexed). Defaults to start (insert).",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              oldText: {
+                type: "string",
+                description: "Text expected between start and end (empty for insertions)",
+              },
+              search: {
+                type: "string",
+                minLength: 1,
+                description: "Literal text to replace, instead of start/end/oldText",
+              },
+              occurrence: {
+                type: "integer",
+                minimum: 1,
+                description: "Which match of search to replace (1-based), required if search is ambiguous",
+              },
+              newText: {
+                type: "string",
+                description: "Replacement text",
+              },
+            },
+            required: ["newText"],
+            anyOf: [
+              { required: ["search"] },
+              { required: ["start", "oldText"] },
+            ],
+          },
         },
-        column: {
-          type: "number",
-          description: "Column to navigate to (0-indexed, optional)",
+        hash: {
+          type: "string",
+          description: "Buffer hash returned by ReadText, rejects the batch if the buffer changed since",
         },
       },
-      required: ["path"],
+      required: ["edits"],
     },
-    annotations: { readOnlyHint: false },
-    async execute({ path, row, column }) {
-      if (typeof path !== "string") throw new Error("path is required");
-      const options = {};
-      if (row !== undefined) {
-        options.initialLine = row;
-        if (column !== undefined) {
-          options.initialColumn = column;
-        }
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    preview({ editorId, path, edits: batch }) {
+      const editor = findEditor({ editorId, path });
+      if (!editor) return null;
+      const target = editor.getPath() || "untitled";
+      const lines = batch.map((edit) => {
+        const oldText = edit.search !== undefined ? edit.search : edit.oldText;
+        return `${JSON.stringify(oldText)} -> ${JSON.stringify(edit.newText)}`;
+      });
+      return `Apply ${batch.length} edits in ${target}:\n${lines.join("\n")}`;
+    },
+    async execute({ editorId, path, edits: batch, hash }, context = {}) {
+      const editor = resolveEditor({ editorId, path });
+      if (!editor) throw new Error("No active editor");
+
+      const buffer = editor.getBuffer();
+      const { ranges, conflicts } = edits.planEdits(buffer, batch, hash);
+      if (conflicts.length > 0) {
+        throw new Error(`Conflict, no edits applied:\n${conflicts.join("\n")}`);
       }
-      await atom.workspace.open(path, options);
-      return { opened: true };
+
+      // In suggest mode the user accepts or rejects the batch first
+      if (atom.config.get("pulsar-mcp.suggestEdits")) {
+        const proposal = proposals.createProposal(
+          editor,
+          ranges.map((range, index) => ({
+            range,
+            newText: batch[index].newText,
+          })),
+          context
+        );
+        const decision = await proposals.waitForSuggestion(proposal, context);
+        return {
+          applied: decision.status === "accepted" ? batch.length : 0,
+          hash: edits.getBufferHash(buffer),
+          path: editor.getPath() || null,
+          proposal: decision,
+        };
+      }
+
+      // Apply from the end of the buffer, so earlier ranges stay valid
+      const order = ranges
+        .map((range, index) => ({ range, index }))
+        .sort(
+          (a, b) =>
+            b.range.start.row - a.range.start.row ||
+            b.range.start.column - a.range.start.column
+        );
+      edits.trackEdits(buffer, context, () => {
+        for (const { range, index } of order) {
+          buffer.setTextInRange(
+            [
+              [range.start.row, range.start.column],
+              [range.end.row, range.end.column],
+            ],
+            batch[index].newText
+          );
+        }
+      });
+
+      return {
+        applied: batch.length,
+        hash: edits.getBufferHash(buffer),
+        path: editor.getPath() || null,
+      };
     },
   },
 
-  SaveFile: {
-    name: "SaveFile",
+  ProposeEdit: {
+    name: "ProposeEdit",
     description:
-      "Save a file. Returns true on success, false if file not found or no editor. If path omitted, saves active editor.",
+      "Propose edits to active editor (or the editor given by editorId/path) for the user to review: removed text is struck through, inserted text shown below, with Accept and Reject buttons. Edits are given as in ApplyEdits and checked the same way. Accepted edits are applied as one undo step and can be reverted with RevertEdits. With wait, returns once the user decided or the timeout passed; otherwise returns right away, poll with GetProposal. Returns {id, status: pending|accepted|rejected|conflict, reason, editorId, path, changes, hash?}.",
     inputSchema: {
       type: "object",
       properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
         path: {
           type: "string",
-          description:
-            "File path to save (optional, defaults to active editor)",
+          description: "File path of an open target editor (default: active editor)",
+        },
+        edits: {
+          type: "array",
+          description: "Edits to propose",
+          minItems: 1,
+          items: {
+            type: "object",
+            properties: {
+              start: {
+                type: "object",
+                description: "Start position (0-indexed) of the range to replace",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              end: {
+                type: "object",
+                description: "End position (0-indexed). Defaults to start (insert).",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              oldText: {
+                type: "string",
+                description: "Text expected between start and end (empty for insertions)",
+              },
+              search: {
+                type: "string",
+                minLength: 1,
+                description: "Literal text to replace, instead of start/end/oldText",
+              },
+              occurrence: {
+                type: "integer",
+                minimum: 1,
+                description: "Which match of search to replace (1-based), required if search is ambiguous",
+              },
+              newText: {
+                type: "string",
+                description: "Replacement text",
+              },
+            },
+            required: ["newText"],
+            anyOf: [
+              { required: ["search"] },
+              { required: ["start", "oldText"] },
+            ],
+          },
+        },
+        hash: {
+          type: "string",
+          description: "Buffer hash returned by ReadText, rejects the batch if the buffer changed since",
+        },
+        wait: {
+          type: "boolean",
+          description: "Wait for the user's decision, else return the pending proposal right away (default: true)",
+          default: true,
+        },
+        timeout: {
+          type: "integer",
+          minimum: 0,
+          description: "Max ms to wait for the decision, the proposal stays open afterwards (default: 300000)",
+          default: 300000,
         },
       },
-      required: [],
+      required: ["edits"],
     },
-    annotations: { readOnlyHint: false },
-    async execute({ path }) {
-      if (path) {
-        const editor = atom.workspace
-          .getTextEditors()
-          .find((e) => e.getPath() === path);
-        if (!editor) return { saved: false };
-        await editor.save();
-        return { saved: true };
-      }
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    async execute(
+      { editorId, path, edits: batch, hash, wait = true, timeout = 300000 },
+      context = {}
+    ) {
+      const editor = resolveEditor({ editorId, path });
+      if (!editor) throw new Error("No active editor");
 
-      const editor = atom.workspace.getActiveTextEditor();
-      if (!editor) return { saved: false };
+      const { ranges, conflicts } = edits.planEdits(
+        editor.getBuffer(),
+        batch,
+        hash
+      );
+      if (conflicts.length > 0) {
+        throw new Error(`Conflict, nothing proposed:\n${conflicts.join("\n")}`);
+      }
+      const proposal = proposals.createProposal(
+        editor,
+        ranges.map((range, index) => ({
+          range,
+          newText: batch[index].newText,
+        })),
+        context
+      );
+      if (!wait) return proposals.describeProposal(proposal);
+      return proposals.waitForDecision(proposal, timeout, context.signal);
+    },
+  },
 
-      await editor.save();
-      return { saved: true };
+  GetProposal: {
+    name: "GetProposal",
+    description:
+      "Get the status of a proposal from ProposeEdit, optionally waiting for the user's decision. Returns {id, status: pending|accepted|rejected|conflict, reason, editorId, path, changes, hash?}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "integer",
+          description: "Proposal ID from ProposeEdit",
+        },
+        wait: {
+          type: "boolean",
+          description: "Wait for the decision if still pending (default: false)",
+          default: false,
+        },
+        timeout: {
+          type: "integer",
+          minimum: 0,
+          description: "Max ms to wait (default: 300000)",
+          default: 300000,
+        },
+      },
+      required: ["id"],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ id, wait = false, timeout = 300000 }, context = {}) {
+      const proposal = proposals.getProposal(id);
+      if (!proposal) throw new Error(`Unknown proposal ${id}`);
+      if (!wait) return proposals.describeProposal(proposal);
+      return proposals.waitForDecision(proposal, timeout, context.signal);
     },
   },
 
-  CloseFile: {
-    name: "CloseFile",
+  GetDiagnostics: {
+    name: "GetDiagnostics",
     description:
-      "Close an editor tab. Returns true on success, false if file not found. If path omitted, closes active editor. Unsaved changes are discarded unless save=true.",
+      "Get linter messages shown in Pulsar for active editor, the editor given by editorId, a file path, or the whole project. Requires the linter package. Use wait after editing to let linting settle first. Returns {diagnostics: [{severity, path, range, source, excerpt, description, url, fixes: [{title, range, replaceWith}]}], total, truncated, settled?}, errors first.",
     inputSchema: {
       type: "object",
       properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
         path: {
           type: "string",
-          description:
-            "File path to close (optional, defaults to active editor)",
+          description: "File path, does not need to be open (default: active editor)",
         },
-        save: {
+        project: {
           type: "boolean",
-          description: "Save before closing if modified (default: false)",
+          description: "Return messages of all files (default: false)",
+          default: false,
+        },
+        wait: {
+          type: "boolean",
+          description: "Wait until linting settles before reading messages (default: false)",
+          default: false,
+        },
+        timeout: {
+          type: "integer",
+          minimum: 0,
+          description: "Maximum wait in milliseconds (default: 5000)",
+          default: 5000,
+        },
+        maxResults: {
+          type: "integer",
+          minimum: 1,
+          description: "Maximum number of diagnostics to return (default: 200)",
+          default: 200,
         },
       },
       required: [],
     },
-    annotations: { readOnlyHint: false, destructiveHint: true },
-    async execute({ path, save = false }) {
-      let editor, pane;
-
-      if (path) {
-        editor = atom.workspace
-          .getTextEditors()
-          .find((e) => e.getPath() === path);
-        if (!editor) return { closed: false };
-        pane = atom.workspace.paneForItem(editor);
-      } else {
-        editor = atom.workspace.getActiveTextEditor();
-        if (!editor) return { closed: false };
-        pane = atom.workspace.getActivePane();
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path, project, wait, timeout, maxResults }) {
+      if (!atom.packages.isPackageActive("linter")) {
+        throw new Error(
+          "Diagnostics need the linter package, which is not active"
+        );
       }
 
-      if (save && editor.isModified()) {
-        await editor.save();
+      let filePath = null;
+      if (!project) {
+        if (path !== undefined && editorId === undefined) {
+          filePath = normalize(path);
+        } else {
+          const editor = resolveEditor({ editorId });
+          if (!editor) throw new Error("No active editor");
+          filePath = editor.getPath();
+          // Linters only report saved files
+          if (!filePath) return { diagnostics: [], total: 0, truncated: false };
+        }
       }
 
-      pane.destroyItem(editor, true);
-      return { closed: true };
+      const result = {};
+      if (wait) {
+        result.settled = await diagnostics.waitForSettle(filePath, timeout);
+      }
+
+      const found = diagnostics.getDiagnostics(filePath);
+      return {
+        diagnostics: found.slice(0, maxResults),
+        total: found.length,
+        truncated: found.length > maxResults,
+        ...result,
+      };
     },
   },
 
-  GetSelections: {
-    name: "GetSelections",
+  GoToDefinition: {
+    name: "GoToDefinition",
     description:
-      "Get all selections/cursors. Returns array of {text: string, isEmpty: boolean, range: {start: {row, column}, end: {row, column}}} (0-indexed). First element is primary selection. Returns null if no editor.",
+      "Find where the symbol at a position is defined, using installed IDE packages. Does not move the cursor. A file that is not open is opened in a background tab for the call and closed again. Returns {queryRange, definitions: [{path, range, name, language}]}; pass path and range.start to OpenFile or ReadText.",
     inputSchema: {
       type: "object",
-      properties: {},
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        position: {
+          type: "object",
+          description: "Position of the symbol (0-indexed). Defaults to the cursor.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+      },
       required: [],
     },
     annotations: { readOnlyHint: true },
-    execute() {
-      const editor = atom.workspace.getActiveTextEditor();
-      if (!editor) return null;
-
-      return editor.getSelections().map((selection) => {
-        const range = selection.getBufferRange();
-        return {
-          text: selection.getText(),
-          isEmpty: selection.isEmpty(),
-          range: {
-            start: { row: range.start.row, column: range.start.column },
-            end: { row: range.end.row, column: range.end.column },
-          },
-        };
+    async execute({ editorId, path, position }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return ide.getDefinitions(
+          editor,
+          position || editor.getCursorBufferPosition()
+        );
       });
     },
   },
 
-  SetSelections: {
-    name: "SetSelections",
+  FindReferences: {
+    name: "FindReferences",
     description:
-      "Set selections/cursors in active editor. All positions are 0-indexed. If end equals start (or omitted), places cursor without selection. First selection becomes primary. Returns {set: true, count: number} on success, {set: false} if no editor.",
+      "Find all references to the symbol at a position, using installed IDE packages. A file that is not open is opened in a background tab for the call and closed again. Returns {symbol, references: [{path, range, name}]}.",
     inputSchema: {
       type: "object",
       properties: {
-        selections: {
-          type: "array",
-          description: "Array of selection ranges to set",
-          items: {
-            type: "object",
-            properties: {
-              start: {
-                type: "object",
-                description: "Start position (0-indexed)",
-                properties: {
-                  row: { type: "number", description: "Row (0-indexed)" },
-                  column: { type: "number", description: "Column (0-indexed)" },
-                },
-                required: ["row", "column"],
-              },
-              end: {
-                type: "object",
-                description:
-                  "End position (0-indexed). Omit or set equal to start for cursor-only.",
-                properties: {
-                  row: { type: "number", description: "Row (0-indexed)" },
-                  column: { type: "number", description: "Column (0-indexed)" },
-                },
-                required: ["row", "column"],
-              },
-            },
-            required: ["start"],
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        position: {
+          type: "object",
+          description: "Position of the symbol (0-indexed). Defaults to the cursor.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
           },
-          minItems: 1,
+          required: ["row", "column"],
         },
       },
-      required: ["selections"],
+      required: [],
     },
-    annotations: { readOnlyHint: false },
-    execute({ selections }) {
-      if (!Array.isArray(selections) || selections.length === 0) {
-        throw new Error("selections array is required and must not be empty");
-      }
-
-      const editor = atom.workspace.getActiveTextEditor();
-      if (!editor) return { set: false };
-
-      // Clear existing selections and set new ones
-      const ranges = selections.map((sel) => {
-        const start = sel.start;
-        const end = sel.end || sel.start;
-        return [[start.row, start.column], [end.row, end.column]];
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path, position }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return ide.findReferences(
+          editor,
+          position || editor.getCursorBufferPosition()
+        );
       });
+    },
+  },
 
-      editor.setSelectedBufferRanges(ranges);
-      return { set: true, count: selections.length };
+  GetOutline: {
+    name: "GetOutline",
+    description:
+      "Get the symbol outline of a file (classes, functions, ...), using installed IDE packages. A file that is not open is opened in a background tab for the call and closed again. Returns tree of {name, kind, range, children}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return ide.getOutline(editor);
+      });
+    },
+  },
+
+  GetHover: {
+    name: "GetHover",
+    description:
+      "Get hover information (type, documentation) for the symbol at a position, using installed IDE packages. A file that is not open is opened in a background tab for the call and closed again. Returns {range, contents: [{type: markdown|snippet, value, grammar}]} or null.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        position: {
+          type: "object",
+          description: "Position of the symbol (0-indexed). Defaults to the cursor.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path, position }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return ide.getHover(
+          editor,
+          position || editor.getCursorBufferPosition()
+        );
+      });
+    },
+  },
+
+  GetSyntaxNode: {
+    name: "GetSyntaxNode",
+    description:
+      "Get the Tree-sitter syntax node at a position with its parent chain, e.g. to find the enclosing function. Requires a Tree-sitter grammar. A file that is not open is opened in a background tab for the call and closed again. Returns {node: {type, named, range, text}, parents: [{type, named, range}]} with parents innermost first, or null.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        position: {
+          type: "object",
+          description: "Position to inspect (0-indexed). Defaults to the cursor.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+        named: {
+          type: "boolean",
+          description: "Skip anonymous nodes such as punctuation and keywords (default: true)",
+          default: true,
+        },
+        types: {
+          type: "array",
+          items: { type: "string" },
+          description: "Return the nearest node of one of these types containing the position instead, e.g. [\"function_declaration\", \"method_definition\"]",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path, position, named, types }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return syntax.getSyntaxNode(
+          editor,
+          position || editor.getCursorBufferPosition(),
+          { named, types }
+        );
+      });
+    },
+  },
+
+  GetScopesAtPosition: {
+    name: "GetScopesAtPosition",
+    description:
+      "Get the scope descriptor at a position, as used by syntax themes, snippets and scoped settings. Works with any grammar. A file that is not open is opened in a background tab for the call and closed again. Returns {scopes, syntaxScopes}, outermost first; syntaxScopes lists syntax node types for Tree-sitter grammars.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        position: {
+          type: "object",
+          description: "Position to inspect (0-indexed). Defaults to the cursor.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({ editorId, path, position }) {
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return syntax.getScopes(
+          editor,
+          position || editor.getCursorBufferPosition()
+        );
+      });
+    },
+  },
+
+  QuerySyntaxTree: {
+    name: "QuerySyntaxTree",
+    description:
+      "Run a Tree-sitter query on a buffer, e.g. \"(call_expression function: (identifier) @name)\" to find all calls. Requires a Tree-sitter grammar. A file that is not open is opened in a background tab for the call and closed again. Returns {captures: [{name, type, named, range, text}], total, truncated} in buffer order.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, opened in a background tab for the call if needed (default: active editor)",
+        },
+        query: {
+          type: "string",
+          description: "Query in the Tree-sitter query language, with @captures and predicates like #eq? and #match?",
+        },
+        scopeName: {
+          type: "string",
+          description: "Grammar scope name of injected code to query, e.g. source.css in HTML (default: the buffer grammar)",
+        },
+        start: {
+          type: "object",
+          description: "Only return captures from this position (0-indexed). Use with end.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+        end: {
+          type: "object",
+          description: "Only return captures up to this position (0-indexed). Use with start.",
+          properties: {
+            row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+            column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+          },
+          required: ["row", "column"],
+        },
+        captures: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only return captures with these names, without @ (default: all)",
+        },
+        maxResults: {
+          type: "integer",
+          minimum: 1,
+          description: "Maximum number of captures to return (default: 200)",
+          default: 200,
+        },
+      },
+      required: ["query"],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({
+      editorId,
+      path,
+      query,
+      scopeName,
+      start,
+      end,
+      captures,
+      maxResults,
+    }) {
+      if ((start === undefined) !== (end === undefined)) {
+        throw new Error("Pass both start and end, or neither");
+      }
+      return withEditor({ editorId, path }, (editor) => {
+        if (!editor) throw new Error("No active editor");
+        return syntax.querySyntaxTree(editor, query, {
+          scopeName,
+          range: start ? { start, end } : null,
+          captures,
+          maxResults,
+        });
+      });
+    },
+  },
+
+  ProjectSearch: {
+    name: "ProjectSearch",
+    description:
+      "Search all project files like Find in Project: honours ignored names and includes unsaved changes of open buffers. Returns {searchId, matches: [{path, range, matchText, lineText, before, after}], total, offset, hasMore, stoppedBy}, sorted by path. Pass searchId with a new offset to page through results without searching again. stoppedBy is \"limit\" or \"timeout\" if the search ended early and total is incomplete.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          minLength: 1,
+          description: "Text to find, or regular expression if regex=true",
+        },
+        regex: {
+          type: "boolean",
+          description: "Treat query as JavaScript regular expression (default: false)",
+          default: false,
+        },
+        caseSensitive: {
+          type: "boolean",
+          description: "Match case (default: false)",
+          default: false,
+        },
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description: "Glob patterns relative to project roots, e.g. [\"src/**/*.js\", \"!**/test/**\"]. Prefix ! to exclude.",
+        },
+        contextLines: {
+          type: "integer",
+          minimum: 0,
+          maximum: 10,
+          description: "Lines of context before and after each match (default: 0)",
+          default: 0,
+        },
+        searchId: {
+          type: "integer",
+          minimum: 1,
+          description: "Page through a previous search instead of searching again, other search options are ignored",
+        },
+        offset: {
+          type: "integer",
+          minimum: 0,
+          description: "Index of the first match to return (default: 0)",
+          default: 0,
+        },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 500,
+          description: "Max matches to return (default: 100)",
+          default: 100,
+        },
+        timeout: {
+          type: "integer",
+          minimum: 100,
+          description: "Cancel the search after this many milliseconds (default: 10000)",
+          default: 10000,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    async execute({ searchId, offset, limit, ...options }, context = {}) {
+      let result;
+      if (searchId !== undefined) {
+        result = search.getSearch(searchId);
+        if (!result) {
+          throw new Error(`Search ${searchId} expired, search again`);
+        }
+      } else if (options.query !== undefined) {
+        result = await search.searchProject(options, context);
+      } else {
+        throw new Error("query or searchId is required");
+      }
+
+      return {
+        searchId: result.id,
+        matches: result.matches.slice(offset, offset + limit),
+        total: result.matches.length,
+        offset,
+        hasMore: offset + limit < result.matches.length,
+        stoppedBy: result.stoppedBy,
+      };
+    },
+  },
+
+  ProjectReplace: {
+    name: "ProjectReplace",
+    description:
+      "Replace text across project files in two steps. (1) Preview: pass query, replacement and search options (as ProjectSearch); nothing changes, returns {replaceId, matches: [{id, path, range, lineText, matchText, replacementText}], total, offset, hasMore, stoppedBy}. Page with replaceId+offset. (2) Apply: pass replaceId, apply=true and the confirmed matchIds (omit for all). Open buffers are edited undoably, other files are rewritten on disk, files changed since the preview are skipped. Returns {replaced, files: [{path, status: applied|skipped|failed, replaced, method, reason}]}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          minLength: 1,
+          description: "Text to find, or regular expression if regex=true",
+        },
+        replacement: {
+          type: "string",
+          description: "Replacement text, may use $1, $& etc. if regex=true",
+        },
+        regex: {
+          type: "boolean",
+          description: "Treat query as JavaScript regular expression (default: false)",
+          default: false,
+        },
+        caseSensitive: {
+          type: "boolean",
+          description: "Match case (default: false)",
+          default: false,
+        },
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description: "Glob patterns relative to project roots. Prefix ! to exclude.",
+        },
+        replaceId: {
+          type: "integer",
+          minimum: 1,
+          description: "Preview to page through or apply",
+        },
+        apply: {
+          type: "boolean",
+          description: "Apply the preview given by replaceId (default: false)",
+          default: false,
+        },
+        matchIds: {
+          type: "array",
+          items: { type: "integer", minimum: 1 },
+          description: "Match IDs from the preview to apply (default: all)",
+        },
+        offset: {
+          type: "integer",
+          minimum: 0,
+          description: "Index of the first preview match to return (default: 0)",
+          default: 0,
+        },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 500,
+          description: "Max preview matches to return (default: 100)",
+          default: 100,
+        },
+        timeout: {
+          type: "integer",
+          minimum: 100,
+          description: "Cancel the search after this many milliseconds (default: 10000)",
+          default: 10000,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    // A preview changes nothing, only applying it is destructive
+    callAnnotations({ apply }) {
+      return apply ? null : { readOnlyHint: true };
+    },
+    preview({ replaceId, apply, matchIds }) {
+      if (!apply) return "Preview only, no files are changed";
+      const plan = replaceId !== undefined && replace.getPlan(replaceId);
+      if (!plan) return null;
+      const selected = matchIds ? new Set(matchIds) : null;
+      return plan.matches
+        .filter((m) => !selected || selected.has(m.id))
+        .map((m) => {
+          const file = atom.project.relativize(m.path);
+          const from = JSON.stringify(m.matchText);
+          const to = JSON.stringify(m.replacementText);
+          return `${file}:${m.range.start.row + 1}: ${from} -> ${to}`;
+        })
+        .join("\n");
+    },
+    async execute(
+      { replaceId, apply, matchIds, offset, limit, ...options },
+      context = {}
+    ) {
+      let plan;
+      if (replaceId !== undefined) {
+        plan = replace.getPlan(replaceId);
+        if (!plan) {
+          throw new Error(`Replace ${replaceId} expired, preview again`);
+        }
+      } else if (apply) {
+        throw new Error("apply needs the replaceId of a preview");
+      } else if (
+        options.query === undefined ||
+        options.replacement === undefined
+      ) {
+        throw new Error("query and replacement are required for a preview");
+      } else {
+        plan = await replace.previewReplace(options, context);
+      }
+
+      if (apply) {
+        const files = await replace.applyReplace(plan, matchIds, context);
+        return {
+          replaced: files.reduce((sum, f) => sum + f.replaced, 0),
+          files,
+        };
+      }
+
+      return {
+        replaceId: plan.id,
+        matches: plan.matches.slice(offset, offset + limit),
+        total: plan.matches.length,
+        offset,
+        hasMore: offset + limit < plan.matches.length,
+        stoppedBy: plan.stoppedBy,
+      };
+    },
+  },
+
+  GetRepositoryStatus: {
+    name: "GetRepositoryStatus",
+    description:
+      "Get git status of the project repositories: branch, upstream, ahead/behind counts and changed files with index and working tree status (added, modified, deleted, renamed, untracked, ...). Returns array of {workingDirectory, branch, upstream, ahead, behind, changes: [{path, index, workingTree}]}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "Only the repository containing this path (default: all project repositories)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ path }) {
+      const repos =
+        path !== undefined
+          ? [git.repositoryForPath(path)].filter(Boolean)
+          : git.getRepositories();
+      if (repos.length === 0) throw new Error("No git repository found");
+      return repos.map((repo) => git.getRepositoryStatus(repo));
+    },
+  },
+
+  GetBufferDiff: {
+    name: "GetBufferDiff",
+    description:
+      "Diff a file against git HEAD, including unsaved changes of its open editor. Returns {path, unsaved, status: modified|unmodified|untracked, hunks: [{oldStart, oldLines, newStart, newLines, removed: string[], added: string[]}]}, rows 0-indexed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, read from disk if not open (default: active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ editorId, path }) {
+      return git.diffFile({ editorId, path });
+    },
+  },
+
+  GetLineStatus: {
+    name: "GetLineStatus",
+    description:
+      "Get changed lines of a file compared to git HEAD, as shown in the editor gutter, including unsaved changes. Returns {path, unsaved, lines: [{status: added|modified|removed, startRow, endRow}]}, rows 0-indexed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path, read from disk if not open (default: active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ editorId, path }) {
+      const diff = git.diffFile({ editorId, path });
+      return {
+        path: diff.path,
+        unsaved: diff.unsaved,
+        lines: git.lineStatus(diff.hunks),
+      };
+    },
+  },
+
+  OpenFile: {
+    name: "OpenFile",
+    description:
+      "Open a file in editor. All positions are 0-indexed. Returns true on success. Creates new file if path doesn't exist.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "File path (absolute or relative to project root)",
+        },
+        row: {
+          type: "integer",
+          minimum: 0,
+          description: "Row to navigate to (0-indexed, optional)",
+        },
+        column: {
+          type: "integer",
+          minimum: 0,
+          description: "Column to navigate to (0-indexed, optional)",
+        },
+      },
+      required: ["path"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    async execute({ path, row, column }) {
+      if (typeof path !== "string") throw new Error("path is required");
+      const options = {};
+      if (row !== undefined) {
+        options.initialLine = row;
+        if (column !== undefined) {
+          options.initialColumn = column;
+        }
+      }
+      await atom.workspace.open(path, options);
+      return { opened: true };
+    },
+  },
+
+  SaveFile: {
+    name: "SaveFile",
+    description:
+      "Save a file. Returns true on success, false if file not found or no editor. If editorId and path omitted, saves active editor.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (optional, defaults to active editor)",
+        },
+        path: {
+          type: "string",
+          description:
+            "File path to save (optional, defaults to active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    async execute({ editorId, path }) {
+      const editor = findEditor({ editorId, path });
+      if (!editor) return { saved: false };
+
+      await editor.save();
+      return { saved: true };
+    },
+  },
+
+  CloseFile: {
+    name: "CloseFile",
+    description:
+      "Close an editor tab. Returns true on success, false if file not found. If editorId and path omitted, closes active editor. Unsaved changes are discarded unless save=true.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors (optional, defaults to active editor)",
+        },
+        path: {
+          type: "string",
+          description:
+            "File path to close (optional, defaults to active editor)",
+        },
+        save: {
+          type: "boolean",
+          description: "Save before closing if modified (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true },
+    preview({ editorId, path, save }) {
+      const editor = findEditor({ editorId, path });
+      if (!editor) return null;
+      const target = editor.getPath() || "untitled";
+      if (!editor.isModified()) return `Close ${target} (no unsaved changes)`;
+      return save
+        ? `Save and close ${target}`
+        : `Close ${target} and DISCARD its unsaved changes`;
+    },
+    async execute({ editorId, path, save = false }) {
+      const editor = findEditor({ editorId, path });
+      if (!editor) return { closed: false };
+      const pane = atom.workspace.paneForItem(editor);
+
+      if (save && editor.isModified()) {
+        await editor.save();
+      }
+
+      pane.destroyItem(editor, true);
+      return { closed: true };
+    },
+  },
+
+  GetLayout: {
+    name: "GetLayout",
+    description:
+      "Get the workspace layout: the center and the left, right and bottom docks with their panes and items. Returns {activePaneId, containers: [{location, visible, panes: [{paneId, active, items: [{itemId, editorId, title, path, uri, active, modified}]}]}]}. editorId and modified are set for text editors only.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute() {
+      return layout.getLayout();
+    },
+  },
+
+  ActivateItem: {
+    name: "ActivateItem",
+    description:
+      "Bring an open item to the front of its pane and focus the pane, showing its dock if hidden. Identify the item by itemId from GetLayout, editorId from ListEditors or path. Returns {itemId, paneId}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        itemId: {
+          type: "integer",
+          description: "Item ID from GetLayout",
+        },
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors",
+        },
+        path: {
+          type: "string",
+          description: "Path of an open file",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute({ itemId, editorId, path }) {
+      return layout.activateItem(layout.findItem({ itemId, editorId, path }));
+    },
+  },
+
+  SplitPane: {
+    name: "SplitPane",
+    description:
+      "Split a pane and optionally open a file into the new pane, e.g. to show a test next to its implementation. A file already open elsewhere gets a second editor on the same buffer. Returns {paneId, itemId, editorId} of the new pane and its opened item.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        direction: {
+          type: "string",
+          enum: ["up", "down", "left", "right"],
+          description: "Side of the pane to add the new pane on",
+        },
+        paneId: {
+          type: "integer",
+          description: "Pane ID from GetLayout (default: active pane of the center)",
+        },
+        path: {
+          type: "string",
+          description: "File to open in the new pane (absolute or relative to project root)",
+        },
+        moveActiveItem: {
+          type: "boolean",
+          description: "Move the active item of the split pane into the new pane (default: false)",
+          default: false,
+        },
+      },
+      required: ["direction"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    async execute({ direction, paneId, path, moveActiveItem = false }) {
+      const split = {
+        up: "splitUp",
+        down: "splitDown",
+        left: "splitLeft",
+        right: "splitRight",
+      }[direction];
+      if (!split) throw new Error("direction must be up, down, left or right");
+      const pane = layout.findPane(paneId);
+      const newPane = pane[split]({ moveActiveItem });
+      if (path !== undefined) {
+        await atom.workspace.open(path, {
+          pane: newPane,
+          searchAllPanes: false,
+        });
+      }
+      const item = newPane.getActiveItem();
+      return {
+        paneId: newPane.id,
+        itemId: item ? layout.getItemId(item) : null,
+        editorId: item && atom.workspace.isTextEditor(item) ? item.id : null,
+      };
+    },
+  },
+
+  MoveItem: {
+    name: "MoveItem",
+    description:
+      "Move an open item to another pane, or to another index within its pane. Identify the item by itemId from GetLayout, editorId from ListEditors or path. Returns {itemId, paneId, index}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        itemId: {
+          type: "integer",
+          description: "Item ID from GetLayout",
+        },
+        editorId: {
+          type: "integer",
+          description: "Editor ID from ListEditors",
+        },
+        path: {
+          type: "string",
+          description: "Path of an open file",
+        },
+        paneId: {
+          type: "integer",
+          description: "Target pane ID from GetLayout",
+        },
+        index: {
+          type: "integer",
+          minimum: 0,
+          description: "Tab index in the target pane (default: last)",
+        },
+      },
+      required: ["paneId"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute({ itemId, editorId, path, paneId, index }) {
+      const item = layout.findItem({ itemId, editorId, path });
+      const source = atom.workspace.paneForItem(item);
+      const target = layout.findPane(paneId);
+      const location = target.getContainer().getLocation();
+      if (
+        item.getAllowedLocations &&
+        !item.getAllowedLocations().includes(location)
+      ) {
+        throw new Error(`Item cannot be placed in the ${location}`);
+      }
+
+      if (source === target) {
+        source.moveItem(
+          item,
+          Math.min(
+            index ?? source.getItems().length - 1,
+            source.getItems().length - 1
+          )
+        );
+      } else {
+        source.moveItemToPane(
+          item,
+          target,
+          Math.min(index ?? target.getItems().length, target.getItems().length)
+        );
+      }
+      target.activateItem(item);
+      return {
+        itemId: layout.getItemId(item),
+        paneId: target.id,
+        index: target.getItems().indexOf(item),
+      };
+    },
+  },
+
+  ToggleDock: {
+    name: "ToggleDock",
+    description:
+      "Show or hide a dock, or a dock item such as the tree view by its URI. Returns {visible}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        location: {
+          type: "string",
+          enum: ["left", "right", "bottom"],
+          description: "Dock to show or hide",
+        },
+        uri: {
+          type: "string",
+          description: "URI of a dock item instead of a dock, e.g. atom://tree-view",
+        },
+        visible: {
+          type: "boolean",
+          description: "Show (true) or hide (false) instead of toggling",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    async execute({ location, uri, visible }) {
+      if (uri !== undefined) {
+        if (visible === true) {
+          await atom.workspace.open(uri, { searchAllPanes: true });
+        } else if (visible === false) {
+          atom.workspace.hide(uri);
+        } else {
+          await atom.workspace.toggle(uri);
+        }
+        return { uri, visible: layout.isUriVisible(uri) };
+      }
+      if (location === undefined) {
+        throw new Error("location or uri is required");
+      }
+      const dock = layout.getDock(location);
+      if (visible === true) dock.show();
+      else if (visible === false) dock.hide();
+      else dock.toggle();
+      return { location, visible: dock.isVisible() };
+    },
+  },
+
+  ListCommands: {
+    name: "ListCommands",
+    description:
+      "List commands available on an editor or the workspace, e.g. editor:toggle-line-comments. Returns array of {name, displayName, description, allowed}; only allowed commands can be run with DispatchCommand.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        target: {
+          type: "string",
+          enum: ["editor", "workspace"],
+          description: "Element to list commands for (default: editor if one is open, else workspace)",
+        },
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+        query: {
+          type: "string",
+          description: "Only commands whose name or display name contains this text (case-insensitive)",
+        },
+        allowedOnly: {
+          type: "boolean",
+          description: "Only commands allowed for DispatchCommand (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ target, editorId, path, query, allowedOnly = false }) {
+      const { element } = commands.resolveTarget({ target, editorId, path });
+      const text = query?.toLowerCase();
+      return commands.listCommands(element).filter(
+        (c) =>
+          (!allowedOnly || c.allowed) &&
+          (!text ||
+            c.name.toLowerCase().includes(text) ||
+            c.displayName?.toLowerCase().includes(text))
+      );
+    },
+  },
+
+  DispatchCommand: {
+    name: "DispatchCommand",
+    description:
+      "Run a command on an editor or the workspace, as if invoked from the command palette. Only commands matching the allowlist setting (default: editor:*, tree-view:reveal-active-file) can be run. Edits the command makes to the target editor while dispatching are one undo step and tracked for RevertEdits. Returns {command, found, handled}; found=false if the command is not available on the target.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        command: {
+          type: "string",
+          description: "Command name from ListCommands, e.g. editor:toggle-line-comments",
+        },
+        target: {
+          type: "string",
+          enum: ["editor", "workspace"],
+          description: "Element to dispatch on (default: editor if one is open, else workspace)",
+        },
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+      },
+      required: ["command"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    preview({ command, target, editorId, path }) {
+      const { editor } = commands.resolveTarget({ target, editorId, path });
+      const on = editor ? editor.getPath() || "untitled" : "workspace";
+      return `Run ${command} on ${on}`;
+    },
+    async execute({ command, target, editorId, path }, context = {}) {
+      if (typeof command !== "string") throw new Error("command is required");
+      const { element, editor } = commands.resolveTarget({
+        target,
+        editorId,
+        path,
+      });
+
+      // Command handlers run synchronously within the dispatch, so their
+      // changes to the editor are tracked like those of the edit tools.
+      // Changes a handler makes later, after awaiting, are not.
+      const dispatch = () => commands.dispatchCommand(element, command);
+      const dispatched = editor
+        ? edits.trackEdits(editor.getBuffer(), context, dispatch)
+        : dispatch();
+      return { command, ...(await dispatched) };
+    },
+  },
+
+  AskUser: {
+    name: "AskUser",
+    description:
+      "Ask the user a question in a Pulsar modal and wait for the answer, instead of guessing. Offer choices as buttons, or describe fields to fill in with a flat object schema (string, number, integer, boolean properties; enum for drop-downs), as in MCP elicitation. Without either, asks for a free text answer. Returns {action: accept|decline|cancel|timeout, content}; content is {choice} for choices, the filled-in fields for a schema, {answer} otherwise.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        message: {
+          type: "string",
+          description: "Question shown to the user",
+        },
+        choices: {
+          type: "array",
+          items: { type: "string" },
+          minItems: 1,
+          description: "Answers to pick from, shown as buttons",
+        },
+        schema: {
+          type: "object",
+          description: "Flat object schema of the fields to fill in, e.g. {type: 'object', properties: {name: {type: 'string', title: 'Name'}}, required: ['name']}",
+        },
+        timeout: {
+          type: "integer",
+          minimum: 1000,
+          description: "Give up after this many ms (default: 300000)",
+          default: 300000,
+        },
+      },
+      required: ["message"],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ message, choices, schema, timeout = 300000 }, context = {}) {
+      if (choices && schema) {
+        throw new Error("Pass either choices or schema, not both");
+      }
+      return ask.askUser({
+        message,
+        choices,
+        schema,
+        timeout,
+        client: context.clientInfo?.name,
+        signal: context.signal,
+      });
+    },
+  },
+
+  HighlightRanges: {
+    name: "HighlightRanges",
+    description:
+      "Highlight ranges in an editor to show the user what you are talking about, grouped under a label. Styles: highlight (background), underline, gutter (icon next to the lines). Hovering a range shows its message. Highlights follow edits and are removed when the session ends. Returns {label, editorId, ids}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+        ranges: {
+          type: "array",
+          minItems: 1,
+          description: "Ranges to highlight (0-indexed)",
+          items: {
+            type: "object",
+            properties: {
+              start: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              end: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              message: {
+                type: "string",
+                description: "Hover message of this range",
+              },
+            },
+            required: ["start", "end"],
+          },
+        },
+        label: {
+          type: "string",
+          description: "Group of the highlights, e.g. 'bug' or 'step 1' (default: default)",
+          default: "default",
+        },
+        style: {
+          type: "string",
+          enum: ["highlight", "underline", "gutter"],
+          description: "Decoration style (default: highlight)",
+          default: "highlight",
+        },
+        kind: {
+          type: "string",
+          enum: ["info", "success", "warning", "error"],
+          description: "Color of the decoration (default: info)",
+          default: "info",
+        },
+        message: {
+          type: "string",
+          description: "Hover message of ranges without their own",
+        },
+        replace: {
+          type: "boolean",
+          description: "Remove earlier highlights of this label in the editor first (default: true)",
+          default: true,
+        },
+      },
+      required: ["ranges"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute(
+      {
+        editorId,
+        path,
+        ranges,
+        label = "default",
+        style = "highlight",
+        kind = "info",
+        message,
+        replace = true,
+      },
+      context = {}
+    ) {
+      const editor = resolveEditor({ editorId, path });
+      if (!editor) throw new Error("No active editor");
+      const ids = annotations.addHighlights(
+        editor,
+        { label, ranges, style, kind, message, replace },
+        context
+      );
+      return { label, editorId: editor.id, ids };
+    },
+  },
+
+  ListHighlights: {
+    name: "ListHighlights",
+    description:
+      "List highlights added with HighlightRanges, with their current ranges after edits. Returns array of {id, label, editorId, path, range, style, kind, message}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Only highlights of this editor",
+        },
+        path: {
+          type: "string",
+          description: "Only highlights of the open editor of this file",
+        },
+        label: {
+          type: "string",
+          description: "Only highlights of this label",
+        },
+        allSessions: {
+          type: "boolean",
+          description: "Include highlights of other sessions (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ editorId, path, label, allSessions = false }, context = {}) {
+      const filter = { label };
+      if (editorId !== undefined || path !== undefined) {
+        filter.editor = resolveEditor({ editorId, path });
+      }
+      if (!allSessions) filter.sessionId = context.sessionId || null;
+      return annotations.listHighlights(filter);
+    },
+  },
+
+  ClearHighlights: {
+    name: "ClearHighlights",
+    description:
+      "Remove highlights added with HighlightRanges, by default all of this session. Returns {cleared}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Only highlights of this editor",
+        },
+        path: {
+          type: "string",
+          description: "Only highlights of the open editor of this file",
+        },
+        label: {
+          type: "string",
+          description: "Only highlights of this label",
+        },
+        allSessions: {
+          type: "boolean",
+          description: "Also remove highlights of other sessions (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute({ editorId, path, label, allSessions = false }, context = {}) {
+      const filter = { label };
+      if (editorId !== undefined || path !== undefined) {
+        filter.editor = resolveEditor({ editorId, path });
+      }
+      if (!allSessions) filter.sessionId = context.sessionId || null;
+      return { cleared: annotations.clearHighlights(filter) };
+    },
+  },
+
+  GetSelections: {
+    name: "GetSelections",
+    description:
+      "Get all selections/cursors of active editor, or the editor given by editorId/path. Returns array of {text: string, isEmpty: boolean, range: {start: {row, column}, end: {row, column}}} (0-indexed). First element is primary selection. Returns null if no editor.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ editorId, path } = {}) {
+      const editor = resolveEditor({ editorId, path });
+      if (!editor) return null;
+
+      return editor.getSelections().map((selection) => ({
+        text: selection.getText(),
+        isEmpty: selection.isEmpty(),
+        range: serializeRange(selection.getBufferRange()),
+      }));
+    },
+  },
+
+  SetSelections: {
+    name: "SetSelections",
+    description:
+      "Set selections/cursors in active editor, or the editor given by editorId/path (without activating it). All positions are 0-indexed. If end equals start (or omitted), places cursor without selection. First selection becomes primary. Returns {set: true, count: number} on success, {set: false} if no editor.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        editorId: {
+          type: "integer",
+          description: "Target editor ID from ListEditors (default: active editor)",
+        },
+        path: {
+          type: "string",
+          description: "File path of an open target editor (default: active editor)",
+        },
+        selections: {
+          type: "array",
+          description: "Array of selection ranges to set",
+          items: {
+            type: "object",
+            properties: {
+              start: {
+                type: "object",
+                description: "Start position (0-indexed)",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+              end: {
+                type: "object",
+                description:
+                  "End position (0-indexed). Omit or set equal to start for cursor-only.",
+                properties: {
+                  row: { type: "integer", minimum: 0, description: "Row (0-indexed)" },
+                  column: { type: "integer", minimum: 0, description: "Column (0-indexed)" },
+                },
+                required: ["row", "column"],
+              },
+            },
+            required: ["start"],
+          },
+          minItems: 1,
+        },
+      },
+      required: ["selections"],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute({ editorId, path, selections }) {
+      if (!Array.isArray(selections) || selections.length === 0) {
+        throw new Error("selections array is required and must not be empty");
+      }
+
+      const editor = resolveEditor({ editorId, path });
+      if (!editor) return { set: false };
+
+      // Clear existing selections and set new ones
+      const ranges = selections.map((sel) => {
+        const start = sel.start;
+        const end = sel.end || sel.start;
+        return [[start.row, start.column], [end.row, end.column]];
+      });
+
+      editor.setSelectedBufferRanges(ranges);
+      return { set: true, count: selections.length };
+    },
+  },
+
+  ListAgentEdits: {
+    name: "ListAgentEdits",
+    description:
+      "List buffers changed by agent edits that can still be reverted. By default only edits of this session. Returns {checkpoint, buffers: [{path, editorId, modified, edits, calls, sessions, lastEditAt}]}. Pass checkpoint as since later to list only newer edits.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        since: {
+          type: "integer",
+          minimum: 0,
+          description: "Only include edits after this checkpoint",
+        },
+        allSessions: {
+          type: "boolean",
+          description: "Include edits of all sessions (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: true },
+    execute({ since, allSessions }, context = {}) {
+      const filter = { since };
+      if (!allSessions) filter.sessionId = context.sessionId || null;
+      return {
+        checkpoint: edits.getCheckpoint(),
+        buffers: edits.getTouchedBuffers(filter),
+      };
+    },
+  },
+
+  RevertEdits: {
+    name: "RevertEdits",
+    description:
+      "Revert agent edits, newest first, as one undo step per buffer. User edits made in between are kept; edits whose text the user changed since are skipped and listed as conflicts. By default reverts all edits of this session. Returns {reverted, buffers: [{path, editorId, reverted, conflicts: [{range, expected, actual}]}]}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        callId: {
+          type: "integer",
+          minimum: 1,
+          description: "Only revert edits of this tool call (see ListAgentEdits calls)",
+        },
+        since: {
+          type: "integer",
+          minimum: 0,
+          description: "Only revert edits after this checkpoint",
+        },
+        path: {
+          type: "string",
+          description: "Only revert edits in this file, absolute or relative to the project",
+        },
+        allSessions: {
+          type: "boolean",
+          description: "Revert edits of all sessions (default: false)",
+          default: false,
+        },
+      },
+      required: [],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false },
+    execute({ callId, since, path, allSessions }, context = {}) {
+      const filter = { callId, since };
+      if (!allSessions) filter.sessionId = context.sessionId || null;
+      if (path !== undefined) {
+        filter.buffer = edits.findTrackedBuffer(path);
+        if (!filter.buffer) throw new Error(`No agent edits in ${path}`);
+      }
+      const buffers = edits.revertEdits(filter);
+      const reverted = buffers.reduce((sum, b) => sum + b.reverted, 0);
+      return { reverted, buffers };
     },
   },
 
@@ -399,7 +2083,7 @@ const tools = {
       },
       required: ["path"],
     },
-    annotations: { readOnlyHint: false },
+    annotations: { readOnlyHint: false, destructiveHint: false },
     execute({ path }) {
       if (typeof path !== "string") throw new Error("path is required");
       atom.project.addPath(path);
@@ -428,15 +2112,18 @@ function getToolsList() {
 
 /**
  * Execute a builtin tool by name
+ * @param {string} toolName - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @param {Object} [context] - Call context: sessionId, clientInfo, callId
  */
-async function executeTool(toolName, args = {}) {
+async function executeTool(toolName, args = {}, context = {}) {
   const tool = tools[toolName];
   if (!tool) {
     return { success: false, error: `Unknown tool: ${toolName}` };
   }
 
   try {
-    const data = await tool.execute(args);
+    const data = await tool.execute(args, context);
     return { success: true, data };
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  generateToken,
+  isAuthorized,
+  isAllowedOrigin,
+  checkRequest,
+} = require("../lib/auth");
+
+const token = generateToken();
+
+/**
+ * Send a request to a local server
+ * @returns {Promise<{status: number, headers: Object}>}
+ */
+function request(port, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, path, headers },
+      (res) => {
+        res.resume();
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+describe("isAuthorized", () => {
+  const withAuthorization = (authorization) => ({ headers: { authorization } });
+
+  it("accepts the bridge token as bearer token", () => {
+    assert.equal(
+      isAuthorized(withAuthorization(`Bearer ${token}`), token),
+      true
+    );
+    assert.equal(
+      isAuthorized(withAuthorization(`bearer ${token}`), token),
+      true
+    );
+  });
+
+  it("rejects missing, other and malformed tokens", () => {
+    assert.equal(isAuthorized({ headers: {} }, token), false);
+    assert.equal(isAuthorized(withAuthorization(token), token), false);
+    assert.equal(
+      isAuthorized(withAuthorization(`Bearer ${generateToken()}`), token),
+      false
+    );
+    assert.equal(isAuthorized(withAuthorization("Bearer short"), token), false);
+  });
+});
+
+describe("isAllowedOrigin", () => {
+  const withHeaders = (headers) => ({ headers });
+
+  it("accepts requests without Origin and loopback origins of the bridge", () => {
+    assert.equal(isAllowedOrigin(withHeaders({}), 3000), true);
+    assert.equal(
+      isAllowedOrigin(
+        withHeaders({
+          host: "localhost:3000",
+          origin: "http://localhost:3000",
+        }),
+        3000
+      ),
+      true
+    );
+  });
+
+  it("rejects foreign origins and hosts", () => {
+    assert.equal(
+      isAllowedOrigin(withHeaders({ origin: "https://example.com" }), 3000),
+      false
+    );
+    assert.equal(
+      isAllowedOrigin(withHeaders({ origin: "http://127.0.0.1:3001" }), 3000),
+      false
+    );
+    // DNS rebinding: a foreign name resolving to 127.0.0.1
+    assert.equal(
+      isAllowedOrigin(withHeaders({ host: "evil.example:3000" }), 3000),
+      false
+    );
+  });
+});
+
+describe("checkRequest", () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const rejection = checkRequest(req, { token, port });
+      res.writeHead(rejection ? rejection.status : 200, rejection?.headers);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it("answers the health check without a token", async () => {
+    assert.equal((await request(port, "/health")).status, 200);
+  });
+
+  it("rejects requests without the token with 401", async () => {
+    const { status, headers } = await request(port, "/mcp");
+    assert.equal(status, 401);
+    assert.equal(headers["www-authenticate"], 'Bearer realm="pulsar-mcp"');
+    const wrong = { authorization: `Bearer ${generateToken()}` };
+    assert.equal((await request(port, "/tools", wrong)).status, 401);
+  });
+
+  it("serves requests with the token", async () => {
+    const authorization = `Bearer ${token}`;
+    assert.equal(
+      (await request(port, "/tools", { authorization })).status,
+      200
+    );
+  });
+
+  it("rejects foreign origins with 403, even with the token", async () => {
+    const headers = {
+      authorization: `Bearer ${token}`,
+      origin: "https://example.com",
+    };
+    assert.equal((await request(port, "/mcp", headers)).status, 403);
+    const foreign = { origin: "https://example.com" };
+    assert.equal((await request(port, "/health", foreign)).status, 403);
+  });
+});
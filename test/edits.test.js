@@ -0,0 +1,111 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { hashText, getBufferHash, planEdits } = require("../lib/edits");
+
+/**
+ * Create a stand-in for the parts of a TextBuffer that planning edits reads
+ */
+function createBuffer(text) {
+  const lines = text.split("\n");
+  const indexOf = ([row, column]) =>
+    lines.slice(0, row).reduce((sum, line) => sum + line.length + 1, column);
+  return {
+    getText: () => text,
+    positionForCharacterIndex(index) {
+      const before = text.slice(0, index).split("\n");
+      return { row: before.length - 1, column: before.at(-1).length };
+    },
+    clipPosition([row, column]) {
+      const clippedRow = Math.min(Math.max(row, 0), lines.length - 1);
+      const length = lines[clippedRow].length;
+      return { row: clippedRow, column: Math.min(Math.max(column, 0), length) };
+    },
+    getTextInRange([start, end]) {
+      return text.slice(indexOf(start), indexOf(end));
+    },
+  };
+}
+
+const point = (row, column) => ({ row, column });
+
+describe("hashText", () => {
+  it("gives a short hash that changes with the text", () => {
+    assert.match(hashText("abc"), /^[0-9a-f]{16}$/);
+    assert.equal(hashText("abc"), hashText("abc"));
+    assert.notEqual(hashText("abc"), hashText("abd"));
+    assert.equal(getBufferHash(createBuffer("abc")), hashText("abc"));
+  });
+});
+
+describe("planEdits", () => {
+  const buffer = createBuffer("const a = 1;\nconst b = 2;\nlet c = a;\n");
+
+  it("resolves ranges by position and expected text", () => {
+    const { ranges, conflicts } = planEdits(buffer, [
+      { start: point(2, 0), end: point(2, 3), oldText: "let", newText: "var" },
+      { start: point(0, 0), oldText: "", newText: "// x\n" },
+    ]);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(ranges, [
+      { start: point(2, 0), end: point(2, 3) },
+      { start: point(0, 0), end: point(0, 0) },
+    ]);
+  });
+
+  it("resolves ranges by search text and occurrence", () => {
+    const { ranges, conflicts } = planEdits(buffer, [
+      { search: "b = 2", newText: "b = 3" },
+      { search: "const", occurrence: 2, newText: "let" },
+    ]);
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(ranges, [
+      { start: point(1, 6), end: point(1, 11) },
+      { start: point(1, 0), end: point(1, 5) },
+    ]);
+  });
+
+  it("reports edits that do not match the buffer", () => {
+    const { ranges, conflicts } = planEdits(buffer, [
+      { start: point(0, 6), end: point(0, 7), oldText: "x", newText: "y" },
+      { search: "missing", newText: "" },
+      { search: "const", newText: "let" },
+      { search: "const", occurrence: 3, newText: "let" },
+      { start: point(9, 0), oldText: "", newText: "" },
+      { start: point(0, 5), end: point(0, 2), oldText: "", newText: "" },
+    ]);
+    assert.deepEqual(ranges, [null, null, null, null, null, null]);
+    assert.deepEqual(conflicts, [
+      'edit 0: expected "x" at 0:6-0:7 but found "a"',
+      'edit 1: search text not found: "missing"',
+      "edit 2: search text is ambiguous, found at 0:0-0:5, 1:0-1:5; add context or pass occurrence",
+      "edit 3: search text found 2 times, occurrence 3 does not exist",
+      "edit 4: position 9:0 is outside the buffer",
+      "edit 5: end is before start",
+    ]);
+  });
+
+  it("reports overlapping edits and insertions at the same point", () => {
+    const { conflicts } = planEdits(buffer, [
+      { search: "const a = 1", newText: "" },
+      { search: "a = 1;", newText: "" },
+      { start: point(2, 0), oldText: "", newText: "x" },
+      { start: point(2, 0), oldText: "", newText: "y" },
+    ]);
+    assert.deepEqual(conflicts, [
+      "edit 1: overlaps edit 0 at 0:6-0:12",
+      "edit 3: overlaps edit 2 at 2:0-2:0",
+    ]);
+  });
+
+  it("reports a buffer that changed since it was read", () => {
+    const hash = hashText("old text");
+    const { conflicts } = planEdits(buffer, [], hash);
+    assert.deepEqual(conflicts, [
+      `buffer hash is ${getBufferHash(buffer)}, expected ${hash}; the buffer changed since it was read`,
+    ]);
+    assert.deepEqual(
+      planEdits(buffer, [], getBufferHash(buffer)).conflicts,
+      []
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { isPathInside, selectRecord } = require("../lib/registry");
+
+const root = path.resolve("/work");
+const api = { pid: 1, projectPaths: [path.join(root, "api")] };
+const web = { pid: 2, projectPaths: [path.join(root, "web")] };
+const nested = { pid: 3, projectPaths: [path.join(root, "web", "client")] };
+
+describe("isPathInside", () => {
+  it("accepts the directory itself and paths below it", () => {
+    assert.equal(isPathInside(root, root), true);
+    assert.equal(isPathInside(path.join(root, "a", "b"), root), true);
+  });
+
+  it("accepts child folders whose names start with two dots", () => {
+    assert.equal(isPathInside(path.join(root, "..cache"), root), true);
+    assert.equal(isPathInside(path.join(root, "..foo", "src"), root), true);
+  });
+
+  it("rejects siblings that share a prefix", () => {
+    assert.equal(
+      isPathInside(path.join(root, "api2"), api.projectPaths[0]),
+      false
+    );
+    assert.equal(isPathInside(path.dirname(root), root), false);
+  });
+});
+
+describe("selectRecord", () => {
+  it("returns null without records", () => {
+    assert.equal(selectRecord([], { cwd: root }), null);
+  });
+
+  it("picks the window whose deepest root contains the working directory", () => {
+    const cwd = path.join(root, "web", "client", "src");
+    assert.deepEqual(selectRecord([api, web, nested], { cwd }), {
+      record: nested,
+      reason: "working directory",
+    });
+    assert.deepEqual(
+      selectRecord([api, web, nested], { cwd: path.join(root, "web") }),
+      { record: web, reason: "working directory" }
+    );
+  });
+
+  it("matches working directories inside folders starting with two dots", () => {
+    const dotted = { pid: 5, projectPaths: [path.join(root, "..cache")] };
+    const cwd = path.join(root, "..cache", "src");
+    assert.deepEqual(selectRecord([api, dotted], { cwd }), {
+      record: dotted,
+      reason: "working directory",
+    });
+  });
+
+  it("prefers a project override given as path or folder name", () => {
+    const cwd = path.join(root, "web");
+    assert.deepEqual(selectRecord([web, api], { cwd, project: "../api" }), {
+      record: api,
+      reason: "project override",
+    });
+    const elsewhere = path.resolve("/elsewhere");
+    assert.deepEqual(
+      selectRecord([web, api], { cwd: elsewhere, project: "api" }),
+      { record: api, reason: "project override" }
+    );
+  });
+
+  it("falls back to the first, most recently focused window", () => {
+    const cwd = path.join(root, "other");
+    assert.deepEqual(selectRecord([web, api], { cwd, project: "missing" }), {
+      record: web,
+      reason: "most recently focused",
+    });
+    assert.deepEqual(selectRecord([{ pid: 4 }, api], { cwd }), {
+      record: { pid: 4 },
+      reason: "most recently focused",
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { lineOffsets, expandReplacement } = require("../lib/replacement");
+
+/**
+ * Expand the replacement of the first match of a pattern in a text
+ */
+function expandFirst(pattern, replacement, text) {
+  const match = new RegExp(pattern.source, pattern.flags).exec(text);
+  return expandReplacement(pattern, replacement, text, match.index, match[0]);
+}
+
+describe("lineOffsets", () => {
+  it("gives the offset of every line start", () => {
+    assert.deepEqual(lineOffsets("ab\ncd\n"), [0, 3, 6]);
+    assert.deepEqual(lineOffsets(""), [0]);
+  });
+});
+
+describe("expandReplacement", () => {
+  it("expands groups and the whole match", () => {
+    const pattern = /(\w+)\.(\w+)\(/g;
+    assert.equal(
+      expandFirst(pattern, "$2($1, ", "x = obj.call(1)"),
+      "call(obj, "
+    );
+    assert.equal(expandFirst(/b+/g, "[$&]", "abbbc"), "[bbb]");
+    assert.equal(expandFirst(/(?<name>b)/g, "<$<name>>", "abc"), "<b>");
+    assert.equal(expandFirst(/b/g, "$$1", "abc"), "$1");
+  });
+
+  it("sees the text around the match as the apply does", () => {
+    const text = "foo foobar\nbar foo";
+    // \b and lookbehind depend on the text before the match
+    const word = /\bfoo\b/g;
+    assert.equal(expandReplacement(word, "X", text, 0, "foo"), "X");
+    assert.equal(expandReplacement(word, "X", text, 4, "foo"), null);
+    const after = /(?<=bar )foo/g;
+    assert.equal(expandReplacement(after, "X", text, 15, "foo"), "X");
+    assert.equal(expandReplacement(after, "X", text, 0, "foo"), null);
+    // ^ only matches at line starts in multiline mode
+    const start = /^(\w+)/gm;
+    assert.equal(expandReplacement(start, "<$1>", text, 11, "bar"), "<bar>");
+    assert.equal(expandReplacement(start, "<$1>", text, 4, "foobar"), null);
+  });
+
+  it("returns null if the text no longer matches at the offset", () => {
+    assert.equal(expandReplacement(/a+/g, "b", "xaaa", 1, "aa"), null);
+    assert.equal(expandReplacement(/a+/g, "b", "xyz", 1, "a"), null);
+  });
+
+  it("leaves the pattern usable for searching", () => {
+    const pattern = /a/g;
+    pattern.lastIndex = 3;
+    expandReplacement(pattern, "b", "aaaa", 1, "a");
+    assert.equal(pattern.lastIndex, 3);
+    assert.equal(pattern.flags, "g");
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validate,
+  applyDefaults,
+  checkInputSchema,
+  formatErrors,
+} = require("../lib/schema");
+
+const schema = {
+  type: "object",
+  properties: {
+    path: { type: "string", minLength: 1 },
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+    mode: { type: "string", enum: ["read", "write"] },
+    ranges: {
+      type: "array",
+      maxItems: 2,
+      items: {
+        type: "object",
+        properties: {
+          row: { type: "integer" },
+          wrap: { type: "boolean", default: false },
+        },
+        required: ["row"],
+      },
+    },
+  },
+  required: ["path"],
+  additionalProperties: false,
+};
+
+describe("validate", () => {
+  it("accepts valid arguments", () => {
+    const args = { path: "a.js", limit: 5, mode: "read", ranges: [{ row: 1 }] };
+    assert.deepEqual(validate(schema, args), []);
+  });
+
+  it("reports missing, mistyped and unknown fields with their path", () => {
+    const errors = validate(schema, {
+      limit: 1.5,
+      mode: "delete",
+      ranges: [{ row: "1" }, {}],
+      extra: true,
+    });
+    assert.deepEqual(errors, [
+      { field: "path", message: "is required" },
+      { field: "limit", message: "must be integer, got number" },
+      { field: "mode", message: 'must be one of "read", "write"' },
+      { field: "ranges[0].row", message: "must be integer, got string" },
+      { field: "ranges[1].row", message: "is required" },
+      { field: "extra", message: "is not allowed" },
+    ]);
+  });
+
+  it("checks bounds of numbers, strings and arrays", () => {
+    const errors = validate(schema, {
+      path: "",
+      limit: 0,
+      ranges: [{ row: 0 }, { row: 1 }, { row: 2 }],
+    });
+    assert.deepEqual(formatErrors(errors).split("; "), [
+      "path must be at least 1 characters",
+      "limit must be >= 1",
+      "ranges must have at most 2 items",
+    ]);
+  });
+
+  it("accepts integers where numbers are expected", () => {
+    assert.deepEqual(validate({ type: "number" }, 3), []);
+    assert.equal(validate({ type: "integer" }, 3.5).length, 1);
+  });
+
+  it("checks anyOf and oneOf", () => {
+    const either = {
+      type: "object",
+      anyOf: [{ required: ["search"] }, { required: ["start"] }],
+    };
+    assert.deepEqual(validate(either, { search: "x" }), []);
+    assert.deepEqual(validate(either, {}), [
+      {
+        field: "arguments",
+        message: "must match at least one of the allowed schemas",
+      },
+    ]);
+
+    const exactlyOne = { oneOf: [{ type: "string" }, { minLength: 1 }] };
+    assert.equal(validate(exactlyOne, "ab").length, 1);
+    assert.deepEqual(validate(exactlyOne, ""), []);
+  });
+});
+
+describe("applyDefaults", () => {
+  it("fills in missing properties, also inside arrays", () => {
+    const args = { path: "a.js", ranges: [{ row: 1 }, { row: 2, wrap: true }] };
+    assert.deepEqual(applyDefaults(schema, args), {
+      path: "a.js",
+      limit: 10,
+      ranges: [
+        { row: 1, wrap: false },
+        { row: 2, wrap: true },
+      ],
+    });
+  });
+
+  it("does not change the arguments or share default values", () => {
+    const withList = {
+      type: "object",
+      properties: { tags: { type: "array", default: [] } },
+    };
+    const args = {};
+    const first = applyDefaults(withList, args);
+    first.tags.push("x");
+    assert.deepEqual(args, {});
+    assert.deepEqual(applyDefaults(withList, args), { tags: [] });
+  });
+});
+
+describe("checkInputSchema", () => {
+  it("accepts the schemas of tools", () => {
+    assert.deepEqual(checkInputSchema(schema), []);
+  });
+
+  it("requires an object schema at the root", () => {
+    assert.deepEqual(checkInputSchema({ type: "string" }), [
+      'inputSchema.type must be "object"',
+    ]);
+    assert.deepEqual(checkInputSchema(null), ["inputSchema must be an object"]);
+  });
+
+  it("reports problems of nested schemas with their location", () => {
+    const problems = checkInputSchema({
+      type: "object",
+      properties: {
+        count: { type: "int" },
+        name: { type: "string", pattern: "(" },
+        list: { type: "array", items: { enum: "a" } },
+      },
+      required: "name",
+      anyOf: {},
+    });
+    assert.deepEqual(problems, [
+      'inputSchema.properties.count.type has unknown type "int"',
+      "inputSchema.properties.name.pattern is not a valid regular expression",
+      "inputSchema.properties.list.items.enum must be an array",
+      "inputSchema.required must be an array of strings",
+      "inputSchema.anyOf must be an array",
+    ]);
+  });
+});